@@ -1,14 +1,22 @@
 #!/usr/bin/env node
 "use strict";
 
+const crypto = require("crypto");
 const fs = require("fs");
+const net = require("net");
 const os = require("os");
 const path = require("path");
+const { spawn, spawnSync } = require("child_process");
 const readline = require("readline");
 const tty = require("tty");
 
 const CONFIG_DIR = path.join(os.homedir(), ".quick-env");
 const CONFIG_PATH = path.join(CONFIG_DIR, "config.json");
+// Append-only change journal, plus full copies of every recorded file state
+// (named by content hash) that undo/restore write back.
+const HISTORY_PATH = path.join(CONFIG_DIR, "history.jsonl");
+const SNAPSHOT_DIR = path.join(CONFIG_DIR, "history");
+const HISTORY_LIMIT = 200;
 
 function ensureDir() {
   try {
@@ -18,766 +26,5043 @@ function ensureDir() {
   }
 }
 
+// Project presets live in this file, found by walking up from the cwd.
+const PROJECT_FILE = ".quickenv.json";
+// In "namespace" mode project presets are listed as `local:<name>`.
+const LOCAL_PREFIX = "local:";
+// Keys whose values are masked unless settings.maskPatterns says otherwise.
+const DEFAULT_MASK_PATTERNS = ["*_TOKEN", "*_PASSWORD", "*_SECRET"];
+
+// Format version of config files. Version 2 stores values as templates
+// (`${NAME}` references, `$$` for a literal `$`); files without a version
+// predate interpolation and have their `$` signs escaped when read.
+const CONFIG_VERSION = 2;
+
 function defaultConfig() {
-  return { current: null, envs: {} };
+  return { version: CONFIG_VERSION, current: null, envs: {}, meta: {}, settings: {} };
 }
 
-function readConfig() {
-  ensureDir();
-  if (!fs.existsSync(CONFIG_PATH)) {
-    return defaultConfig();
+function defaultProjectConfig() {
+  return { version: CONFIG_VERSION, envs: {}, meta: {} };
+}
+
+// Bring a file written before interpolation existed to the current format,
+// so its values mean what they meant then. Saved on the next write.
+function migrateConfig(cfg) {
+  if (cfg.version >= CONFIG_VERSION) return;
+  for (const vars of Object.values(cfg.envs)) {
+    if (!vars || typeof vars !== "object") continue;
+    for (const [key, v] of Object.entries(vars)) {
+      if (typeof v === "string") vars[key] = escapeTemplate(v);
+    }
+  }
+  cfg.version = CONFIG_VERSION;
+}
+
+function findProjectFile(start = process.cwd()) {
+  let dir = path.resolve(start);
+  while (true) {
+    const file = path.join(dir, PROJECT_FILE);
+    try {
+      if (fs.statSync(file).isFile()) return file;
+    } catch (_) { /* keep walking */ }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
   }
+}
+
+// With `quiet`, an unreadable file throws instead of printing and exiting.
+function loadConfigFile(file, fallback, { quiet = false } = {}) {
+  let raw = null;
+  let cfg;
   try {
-    const raw = fs.readFileSync(CONFIG_PATH, "utf8");
-    if (!raw.trim()) return defaultConfig();
-    const cfg = JSON.parse(raw);
-    if (!cfg || typeof cfg !== "object") throw new Error("Invalid config");
-    if (!cfg.envs || typeof cfg.envs !== "object") cfg.envs = {};
-    if (!("current" in cfg)) cfg.current = null;
-    return cfg;
+    if (fs.existsSync(file)) raw = fs.readFileSync(file, "utf8");
+    if (raw === null || !raw.trim()) {
+      cfg = fallback();
+    } else {
+      cfg = JSON.parse(raw);
+      if (!cfg || typeof cfg !== "object") throw new Error("Invalid config");
+      if (!cfg.envs || typeof cfg.envs !== "object") cfg.envs = {};
+      if (!cfg.meta || typeof cfg.meta !== "object") cfg.meta = {};
+      migrateConfig(cfg);
+    }
   } catch (err) {
-    console.error(`Config file is corrupted or unreadable: ${CONFIG_PATH}`);
+    if (quiet) throw err;
+    console.error(`Config file is corrupted or unreadable: ${file}`);
     console.error("Please back up and fix the JSON, then retry.");
     process.exitCode = 1;
     process.exit(1);
   }
+  // What the file held when it was read; writeConfigFile() refuses to
+  // overwrite changes another process made in the meantime.
+  Object.defineProperty(cfg, "__revision", { value: revisionOf(raw), writable: true });
+  return cfg;
 }
 
-function writeConfig(cfg) {
-  ensureDir();
-  const tmp = path.join(CONFIG_DIR, `config.${Date.now()}.${process.pid}.tmp`);
-  const data = JSON.stringify(cfg, null, 2) + "\n";
-  fs.writeFileSync(tmp, data, "utf8");
-  fs.renameSync(tmp, CONFIG_PATH);
+function revisionOf(raw) {
+  return raw === null ? null : hashText(raw);
 }
 
-function isValidKey(key) {
-  return /^[A-Z0-9_]+$/.test(key);
+// `readOnly` leaves a missing config directory uncreated; it reads as empty.
+function readGlobalConfig({ quiet = false, readOnly = false } = {}) {
+  if (!readOnly) ensureDir();
+  const cfg = loadConfigFile(CONFIG_PATH, defaultConfig, { quiet });
+  if (!("current" in cfg)) cfg.current = null;
+  if (!cfg.settings || typeof cfg.settings !== "object") cfg.settings = {};
+  Object.defineProperty(cfg, "__path", { value: CONFIG_PATH });
+  return cfg;
 }
 
-function hasNewline(val) {
-  return /\r|\n/.test(String(val));
+function readProjectConfig(create = false, { quiet = false } = {}) {
+  const file = findProjectFile() || (create ? path.join(process.cwd(), PROJECT_FILE) : null);
+  if (!file) return null;
+  const cfg = loadConfigFile(file, defaultProjectConfig, { quiet });
+  Object.defineProperty(cfg, "__path", { value: file });
+  return cfg;
 }
 
-function shellQuote(value) {
-  const s = String(value);
-  // single-quote style, escape ' as '\''
-  return "'" + s.replace(/'/g, "'\\''") + "'";
+// readConfig() returns the merged view of the global config and the nearest
+// project file; `scope: "global" | "local"` returns just that file instead.
+// Presets in the merged view share objects with their file, and
+// writeConfig() puts new or deleted presets back where they belong (new ones
+// go to `target`, global unless told otherwise). `quiet` makes unreadable
+// files throw rather than exit, and `readOnly` creates nothing on disk.
+function readConfig({ scope, target = "global", quiet = false, readOnly = false } = {}) {
+  if (scope === "global") return readGlobalConfig({ quiet, readOnly });
+  if (scope === "local") return readProjectConfig(true, { quiet });
+  const global = readGlobalConfig({ quiet, readOnly });
+  const local = readProjectConfig(false, { quiet });
+  const namespaced = projectPresetMode(global) === "namespace";
+  const view = { current: global.current, envs: {}, meta: {}, settings: global.settings };
+  const sources = {};
+  const add = (layer, kind, name) => {
+    const merged = kind === "local" && namespaced ? LOCAL_PREFIX + name : name;
+    view.envs[merged] = layer.envs[name];
+    if (layer.meta[name]) view.meta[merged] = layer.meta[name];
+    else delete view.meta[merged];
+    sources[merged] = { kind, name, shadows: kind === "local" && !namespaced && !!global.envs[name] };
+  };
+  for (const name of Object.keys(global.envs)) add(global, "global", name);
+  if (local) for (const name of Object.keys(local.envs)) add(local, "local", name);
+  for (const [k, v] of Object.entries(global)) {
+    if (!(k in view)) view[k] = v;
+  }
+  Object.defineProperty(view, "__layers", { value: { global, local, sources, target } });
+  return view;
 }
 
-function padRight(str, len) {
-  const s = String(str);
-  if (s.length >= len) return s;
-  return s + " ".repeat(len - s.length);
+function projectPresetMode(cfg) {
+  return (cfg.settings && cfg.settings.projectPresets) === "namespace" ? "namespace" : "shadow";
 }
 
-// Minimal ANSI color helpers (used for interactive UI)
-function _color(open, close) {
-  return (s) => `${open}${s}${close}`;
+// Where a preset in the merged view comes from: { kind, file, shadows }.
+function presetSource(cfg, name) {
+  const layers = cfg.__layers;
+  if (!layers) return { kind: cfg.__path === CONFIG_PATH ? "global" : "local", file: cfg.__path, shadows: false };
+  const src = layers.sources[name];
+  if (!src) return null;
+  const file = src.kind === "local" ? layers.local.__path : layers.global.__path;
+  return { kind: src.kind, file, shadows: src.shadows };
 }
-const c = {
-  bold: _color("\x1b[1m", "\x1b[22m"),
-  dim: _color("\x1b[2m", "\x1b[22m"),
-  red: _color("\x1b[31m", "\x1b[39m"),
-  green: _color("\x1b[32m", "\x1b[39m"),
-  yellow: _color("\x1b[33m", "\x1b[39m"),
-  blue: _color("\x1b[34m", "\x1b[39m"),
-  magenta: _color("\x1b[35m", "\x1b[39m"),
-  cyan: _color("\x1b[36m", "\x1b[39m"),
-  gray: _color("\x1b[90m", "\x1b[39m"),
-};
 
-function stripAnsi(s) {
-  return String(s).replace(/\x1b\[[0-9;]*m/g, "");
+function presetSourceLabel(cfg, name) {
+  const src = presetSource(cfg, name);
+  if (!src || src.kind === "global") return "";
+  return `local: ${path.relative(process.cwd(), src.file) || src.file}`;
 }
 
-function printAlignedVars(vars) {
-  const keys = Object.keys(vars);
-  if (keys.length === 0) {
-    console.log(c.dim("(no variables)"));
-    return;
-  }
-  const width = Math.max(...keys.map((k) => k.length));
-  for (const k of keys.sort()) {
-    const val = vars[k];
-    const keyCol = c.cyan(c.bold(padRight(k, width)));
-    const eq = c.dim("=");
-    console.log(`${keyCol} ${eq} ${val}`);
-  }
+// " (local: .quickenv.json)" for messages about project presets.
+function whereSuffix(cfg, name, src = presetSource(cfg, name)) {
+  if (!src || src.kind !== "local") return "";
+  return ` (local: ${path.relative(process.cwd(), src.file) || src.file})`;
 }
 
-function presetApplyStatus(cfg, name) {
-  const vars = (cfg.envs && cfg.envs[name]) || {};
-  const keys = Object.keys(vars);
-  if (keys.length === 0) return { total: 0, applied: 0, status: "applied" };
-  let applied = 0;
-  for (const k of keys) {
-    if (process.env[k] === String(vars[k])) applied++;
-  }
-  let status = "none";
-  if (applied === keys.length) status = "applied";
-  else if (applied > 0) status = "partial";
-  return { total: keys.length, applied, status };
+function writeConfigFile(file, cfg) {
+  const data = JSON.stringify(cfg, null, 2) + "\n";
+  writeRecorded(file, data, {}, cfg.__revision);
+  // Later writes from the same command build on this one.
+  if ("__revision" in cfg) cfg.__revision = revisionOf(data);
 }
 
-function cmdShowDefault() {
-  const cfg = readConfig();
-  const name = cfg.current;
-  if (!name || !cfg.envs[name]) {
-    console.log(c.cyan(c.bold("Current preset: ")) + c.yellow("-"));
-    console.log("");
-    console.log(c.dim("No preset selected. Run `quickenv use` to choose or `quickenv list` to view."));
-    return;
-  }
-  const st = presetApplyStatus(cfg, name);
-  const tag = st.status === "applied" ? c.green("applied") : (st.status === "partial" ? c.yellow("partial") : c.yellow("not-applied"));
-  console.log(c.cyan(c.bold("Current preset: ")) + c.green(name) + " " + c.dim(`[${st.applied}/${st.total} · ${tag}]`));
-  console.log("");
-  printAlignedVars(cfg.envs[name] || {});
-}
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
 
-function cmdInit() {
-  // Print helper function that evals exports from `quickenv use`.
-  // Usage: source <(quickenv init)
-  const fn = `# quickenv shell helper (bash/zsh)
-quickenv() {
-  if [ "$1" = "use" ]; then
-    shift
-    local __out
-    if ! __out="$(command quickenv use "$@" </dev/tty)"; then
-      return $?
-    fi
-    eval "$__out"
-  else
-    command quickenv "$@"
-  fi
-}
-`;
-  process.stdout.write(fn);
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
 }
 
-async function cmdList() {
-  const cfg = readConfig();
-  const names = Object.keys(cfg.envs).sort();
-  if (names.length === 0) {
-    console.log(c.dim("(no presets)"));
-    return;
+// A lock is stale when its process is gone (same host only) or it is older
+// than any write could take.
+function lockIsStale(info, stat) {
+  if (!info) return Date.now() - stat.mtimeMs > LOCK_STALE_MS;
+  if (info.host === os.hostname()) {
+    try {
+      process.kill(info.pid, 0);
+    } catch (err) {
+      if (err.code === "ESRCH") return true;
+    }
   }
-  // Interactive selection if possible; otherwise, just print names
-  const currentIdx = Math.max(0, cfg.current ? names.indexOf(cfg.current) : 0);
-  const picked = await selectMenuInteractively(names, { title: "Select a preset:", initialIndex: currentIdx });
-  if (!picked) {
-    // Non-interactive or cancelled: print the list of names
-    const title = c.cyan(c.bold("Presets"));
-    console.log(`${title} ${c.dim(`(${names.length})`)}`);
-    for (const n of names) {
-      const isCurrent = cfg.current === n;
-      const bullet = isCurrent ? c.green("★") : c.gray("•");
-      const label = isCurrent ? c.green(c.bold(n)) : n;
-      const count = Object.keys(cfg.envs[n] || {}).length;
-      const meta = [];
-      meta.push(`${count}`);
-      if (isCurrent) meta.push("current");
-      console.log(` ${bullet} ${label} ${c.dim(`[${meta.join(" · ")}]`)}`);
+  return Date.now() - info.time > LOCK_STALE_MS;
+}
+
+// Advisory lock file next to `file`, held while it is written. Waits up to
+// LOCK_TIMEOUT_MS for another process to finish. Returns a release function.
+function lockFile(file) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (;;) {
+    try {
+      const fd = fs.openSync(lock, "wx");
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), time: Date.now() }));
+      fs.closeSync(fd);
+      let held = true;
+      return () => {
+        if (held) fs.rmSync(lock, { force: true });
+        held = false;
+      };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
     }
-    return;
+    let stat = null;
+    let info = null;
+    try {
+      stat = fs.statSync(lock);
+      info = JSON.parse(fs.readFileSync(lock, "utf8"));
+    } catch (_) { /* released meanwhile, or still being written */ }
+    if (!stat) continue;
+    if (lockIsStale(info, stat)) {
+      fs.rmSync(lock, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      console.error(c.red(`${file} is locked by another quickenv process${info ? ` (pid ${info.pid})` : ""}.`));
+      console.error(c.dim(`Nothing was saved. Retry in a moment, or remove ${lock} if no other quickenv is running.`));
+      process.exit(1);
+    }
+    sleepSync(50);
   }
-  // Show variables of the selected preset
-  const vars = cfg.envs[picked] || {};
-  console.log(c.cyan(c.bold("Preset: ")) + picked + " " + c.dim(`[${Object.keys(vars).length}]`));
-  console.log("");
-  printAlignedVars(vars);
 }
 
-function cmdShow(name) {
-  const cfg = readConfig();
-  if (!name || !cfg.envs[name]) {
-    console.error(c.red(`Preset not found: ${name || "(missing)"}`));
-    console.error(c.dim("Use `quickenv list` to view existing presets."));
-    process.exit(1);
+// The command journaled with each write; set by main() and the palette.
+let historyCommand = null;
+
+function readFileIfExists(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (_) {
+    return null;
   }
-  const isCurrent = cfg.current === name;
-  const vars = cfg.envs[name] || {};
-  const st = presetApplyStatus(cfg, name);
-  const tag = st.status === "applied" ? "applied" : (st.status === "partial" ? "partial" : "not-applied");
-  const countStr = c.dim(`[${Object.keys(vars).length}${isCurrent ? " · current" : ""} · ${tag}]`);
-  console.log(c.cyan(c.bold("Preset: ")) + (isCurrent ? c.green(name) : name) + " " + countStr);
-  console.log("");
-  printAlignedVars(vars);
 }
 
-async function cmdUse(name) {
-  const cfg = readConfig();
-  if (!name) {
-    const names = Object.keys(cfg.envs).sort();
-    if (names.length === 0) {
-      console.error(c.red("No presets available. Run `quickenv set` to create variables first."));
+// Replace a config file with `data` (null removes it) and journal the change,
+// under the file's lock. With `expected`, the file must still hold that
+// revision, otherwise the write is abandoned. Returns the history entry, or
+// null when nothing changed.
+function writeRecorded(file, data, extra = {}, expected) {
+  const release = lockFile(file);
+  try {
+    const before = readFileIfExists(file);
+    if (expected !== undefined && revisionOf(before) !== expected) {
+      release();
+      console.error(c.red(`${file} was changed by another quickenv command while this one was running.`));
+      console.error(c.dim("Nothing was saved. Run the command again to apply your change on top of the new version."));
       process.exit(1);
     }
-    const picked = await selectPresetInteractively(names, cfg.current);
-    if (!picked) {
-      console.error(c.yellow("Cancelled."));
-      process.exit(1);
+    if (before === data) return null;
+    const dir = path.dirname(file);
+    if (data === null) {
+      fs.rmSync(file, { force: true });
+    } else {
+      const tmp = path.join(dir, `${path.basename(file)}.${Date.now()}.${process.pid}.tmp`);
+      fs.writeFileSync(tmp, data, "utf8");
+      fs.renameSync(tmp, file);
+    }
+    try {
+      return recordHistory(file, before, data, extra);
+    } catch (err) {
+      console.error(c.yellow(`Could not update history: ${err.message}`));
+      return null;
     }
-    name = picked;
+  } finally {
+    release();
   }
-  if (!cfg.envs[name]) {
-    console.error(`Preset not found: ${name}`);
-    console.error("Use `quickenv list` to view existing presets.");
-    process.exit(1);
+}
+
+function readHistory() {
+  const raw = readFileIfExists(HISTORY_PATH);
+  if (!raw) return [];
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) { /* torn write */ }
   }
-  const vars = cfg.envs[name] || {};
-  for (const [k, v] of Object.entries(vars)) {
-    if (!isValidKey(k)) {
-      console.error(`Invalid key name: ${k}. Should match [A-Z0-9_]+`);
-      process.exit(1);
-    }
-    if (hasNewline(v)) {
-      console.error(`Value contains newline; cannot export: ${k}`);
-      console.error("Please make it a single line via `quickenv set`.");
-      process.exit(1);
+  return entries;
+}
+
+// Snapshots never hold secrets in plain text: values of secret presets and
+// sensitive keys are replaced by a marker, and undo/restore keep the value
+// the live file has for them. `drop(name, key, value)` redacts more.
+function isRedacted(v) {
+  return !!v && typeof v === "object" && v.redacted === true;
+}
+
+function redactSnapshot(data, drop = () => false) {
+  let cfg;
+  try {
+    cfg = JSON.parse(data);
+  } catch (_) {
+    return data;
+  }
+  if (!cfg || typeof cfg !== "object" || !cfg.envs || typeof cfg.envs !== "object") return data;
+  const view = { envs: cfg.envs, meta: cfg.meta || {}, settings: cfg.settings || {} };
+  const regexes = maskPatternRegexes(view);
+  for (const [name, vars] of Object.entries(cfg.envs)) {
+    for (const [key, v] of Object.entries(vars || {})) {
+      if (isSource(v) || isRedacted(v)) continue;
+      const plainSecret = !isEncrypted(v) && (isSecretPreset(view, name) || isSensitiveKey(view, name, key, regexes));
+      if (plainSecret || drop(name, key, v)) vars[key] = { redacted: true };
     }
   }
-  // Update current preset then output exports.
-  cfg.current = name;
-  writeConfig(cfg);
-  const out = Object.entries(vars)
-    .map(([k, v]) => `export ${k}=${shellQuote(v)};`)
-    .join("\n");
-  process.stdout.write(out + (out ? "\n" : ""));
+  return JSON.stringify(cfg, null, 2) + "\n";
 }
 
-function writeStderr(str) {
-  try { process.stderr.write(str); } catch (_) { /* ignore */ }
+function saveSnapshot(data) {
+  if (data === null) return null;
+  data = redactSnapshot(data);
+  const id = hashText(data).slice(0, 16);
+  const file = path.join(SNAPSHOT_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, data, { encoding: "utf8", mode: 0o600 });
+  }
+  return id;
 }
 
-function clearLines(count) {
-  // Move cursor up and clear lines on stderr
-  for (let i = 0; i < count; i++) {
-    writeStderr("\x1b[1A\x1b[2K");
-  }
+function loadSnapshot(id) {
+  if (id === null) return null;
+  const data = readFileIfExists(path.join(SNAPSHOT_DIR, `${id}.json`));
+  if (data === null) throw new Error(`Snapshot ${id} is no longer available`);
+  return data;
 }
 
-async function selectPresetInteractively(names, current) {
-  return new Promise((resolve) => {
-    // Prefer real TTY for input
-    let input = process.stdin;
-    let needClose = false;
-    try {
-      if (!input.isTTY) {
-        const fd = fs.openSync("/dev/tty", "r");
-        input = new tty.ReadStream(fd);
-        needClose = true;
+// A snapshot ready to write over `file`. Redacted values take the value the
+// file holds now (and the current passphrase parameters with them); keys the
+// file no longer has are left out and listed in `missing`.
+function loadSnapshotFor(id, file) {
+  const data = loadSnapshot(id);
+  let cfg;
+  try {
+    cfg = JSON.parse(data);
+  } catch (_) {
+    return { data, missing: [] };
+  }
+  if (!cfg || typeof cfg !== "object") return { data, missing: [] };
+  const now = parseSnapshot(readFileIfExists(file));
+  const missing = [];
+  for (const [name, vars] of Object.entries(cfg.envs || {})) {
+    for (const [key, v] of Object.entries(vars || {})) {
+      if (!isRedacted(v)) continue;
+      const cur = (now.envs[name] || {})[key];
+      if (cur !== undefined && !isRedacted(cur)) vars[key] = cur;
+      else {
+        delete vars[key];
+        missing.push(`${name}.${key}`);
       }
-    } catch (e) {
-      console.error(c.red("Non-interactive environment. Provide a name: quickenv use <name>"));
-      return resolve(null);
     }
-    const hdr = `${c.cyan(c.bold("Select a preset:"))}`;
-    const hint = c.dim("↑/↓ to move, Enter to confirm, Esc to cancel");
-    let idx = Math.max(0, current ? names.indexOf(current) : 0);
-    if (idx === -1) idx = 0;
-    let renderedLines = 0;
+  }
+  if (now.crypto) cfg.crypto = now.crypto;
+  return { data: JSON.stringify(cfg, null, 2) + "\n", missing };
+}
 
-    function render() {
-      const lines = [];
-      lines.push(hdr);
-      for (let i = 0; i < names.length; i++) {
-        const sel = i === idx;
-        const pointer = sel ? c.green("›") : " ";
-        const label = sel ? c.green(c.bold(names[i])) : names[i];
-        lines.push(` ${pointer} ${label}`);
-      }
-      lines.push(hint);
-      if (renderedLines > 0) clearLines(renderedLines);
-      writeStderr(lines.join("\n") + "\n");
-      renderedLines = lines.length;
-    }
+// Redact values in every stored snapshot, e.g. plain values of a preset that
+// has just become secret, or ciphertext under a replaced passphrase.
+function scrubSnapshots(drop) {
+  let files = [];
+  try {
+    files = fs.readdirSync(SNAPSHOT_DIR).filter((f) => f.endsWith(".json"));
+  } catch (_) {
+    return;
+  }
+  for (const f of files) {
+    const file = path.join(SNAPSHOT_DIR, f);
+    const data = readFileIfExists(file);
+    if (data === null) continue;
+    const scrubbed = redactSnapshot(data, drop);
+    if (scrubbed !== data) fs.writeFileSync(file, scrubbed, { encoding: "utf8", mode: 0o600 });
+  }
+}
 
-    function cleanup() {
-      if (renderedLines > 0) {
-        clearLines(renderedLines);
-        renderedLines = 0;
+// Hide a preset's values in journal entries written before it became secret.
+function scrubJournal(preset) {
+  const entries = readHistory();
+  let changed = false;
+  for (const e of entries) {
+    for (const ch of e.changes || []) {
+      if (ch.preset !== preset || !ch.key) continue;
+      for (const side of ["old", "new"]) {
+        if (side in ch && ch[side] !== SECRET_PLACEHOLDER) {
+          ch[side] = SECRET_PLACEHOLDER;
+          changed = true;
+        }
       }
     }
+  }
+  if (!changed) return;
+  const tmp = `${HISTORY_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, entries.map((e) => JSON.stringify(e)).join("\n") + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, HISTORY_PATH);
+}
 
-    const onKeypress = (str, key) => {
-      if (!key) return;
-      if (key.name === "up") {
-        idx = (idx - 1 + names.length) % names.length;
-        render();
-      } else if (key.name === "down") {
-        idx = (idx + 1) % names.length;
-        render();
-      } else if (key.name === "return" || key.name === "enter") {
-        cleanup();
-        stop();
-        resolve(names[idx]);
-      } else if (key.name === "escape" || (key.name === "c" && key.ctrl)) {
-        cleanup();
-        stop();
-        resolve(null);
-      }
-    };
+function warnMissingSecrets(missing) {
+  if (missing.length === 0) return;
+  console.error(c.yellow(`Secret values are not kept in history; left out: ${missing.join(", ")}`));
+  console.error(c.dim("Set them again with `quickenv secret set`."));
+}
 
-    function stop() {
-      try { input.off("keypress", onKeypress); } catch (_) {}
-      try { input.setRawMode(false); } catch (_) {}
-      try { input.pause(); } catch (_) {}
-      if (needClose) {
-        try { input.destroy(); } catch (_) {}
-      }
+function recordHistory(file, before, after, extra) {
+  const entries = readHistory();
+  const last = entries[entries.length - 1];
+  const entry = {
+    id: last ? last.id + 1 : 1,
+    time: new Date().toISOString(),
+    command: historyCommand || "unknown",
+    file,
+    changes: diffConfigs(parseSnapshot(before), parseSnapshot(after)),
+    before: saveSnapshot(before),
+    after: saveSnapshot(after),
+    ...extra,
+  };
+  fs.appendFileSync(HISTORY_PATH, JSON.stringify(entry) + "\n", { mode: 0o600 });
+  // Trim in batches so the journal is only rewritten now and then.
+  if (entries.length + 1 > HISTORY_LIMIT + 50) pruneHistory([...entries, entry]);
+  return entry;
+}
+
+function pruneHistory(entries) {
+  const kept = entries.slice(-HISTORY_LIMIT);
+  const tmp = `${HISTORY_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, kept.map((e) => JSON.stringify(e)).join("\n") + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, HISTORY_PATH);
+  const used = new Set(kept.flatMap((e) => [e.before, e.after]));
+  for (const f of fs.readdirSync(SNAPSHOT_DIR)) {
+    if (!used.has(path.basename(f, ".json"))) fs.rmSync(path.join(SNAPSHOT_DIR, f), { force: true });
+  }
+}
+
+function parseSnapshot(data) {
+  let cfg = {};
+  try {
+    if (data) cfg = JSON.parse(data) || {};
+  } catch (_) { /* unreadable file: treat as empty */ }
+  return { ...cfg, envs: cfg.envs || {}, meta: cfg.meta || {}, settings: cfg.settings || {} };
+}
+
+// Values in the journal are redacted the same way show masks them.
+function redactValue(cfg, name, key, value) {
+  return isSensitiveKey(cfg, name, key) ? SECRET_PLACEHOLDER : value;
+}
+
+// Changes between two versions of a config file, as a list of
+// { preset, key, old, new } (absent values are left out), { preset, created
+// | deleted }, { preset, meta, old, new }, { setting, old, new } and
+// { field, old, new } records.
+function diffConfigs(a, b) {
+  const changes = [];
+  const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+  const union = (x, y) => [...new Set([...Object.keys(x || {}), ...Object.keys(y || {})])].sort();
+  for (const name of union(a.envs, b.envs)) {
+    const va = a.envs[name];
+    const vb = b.envs[name];
+    if (!va) changes.push({ preset: name, created: true });
+    else if (!vb) changes.push({ preset: name, deleted: true });
+    for (const key of union(va, vb)) {
+      const o = va ? va[key] : undefined;
+      const n = vb ? vb[key] : undefined;
+      if (same(o, n)) continue;
+      const ch = { preset: name, key };
+      // A preset that is secret on either side hides both values.
+      const secret = isSecretPreset(a, name) || isSecretPreset(b, name);
+      if (o !== undefined) ch.old = secret ? SECRET_PLACEHOLDER : redactValue(a, name, key, o);
+      if (n !== undefined) ch.new = secret ? SECRET_PLACEHOLDER : redactValue(b, name, key, n);
+      changes.push(ch);
+    }
+  }
+  for (const name of union(a.meta, b.meta)) {
+    const ma = a.meta[name] || {};
+    const mb = b.meta[name] || {};
+    for (const field of union(ma, mb)) {
+      if (!same(ma[field], mb[field])) changes.push({ preset: name, meta: field, old: ma[field], new: mb[field] });
     }
+  }
+  for (const k of union(a.settings, b.settings)) {
+    if (!same(a.settings[k], b.settings[k])) changes.push({ setting: k, old: a.settings[k], new: b.settings[k] });
+  }
+  for (const name of union(a.schemas, b.schemas)) {
+    if (!same((a.schemas || {})[name], (b.schemas || {})[name])) changes.push({ schema: name });
+  }
+  for (const k of union(a, b)) {
+    if (["envs", "meta", "settings", "schemas"].includes(k) || same(a[k], b[k])) continue;
+    // Only `current` is worth spelling out; bindings, trust and crypto
+    // parameters are just named.
+    changes.push(k === "current" ? { field: k, old: a[k], new: b[k] } : { field: k });
+  }
+  return changes;
+}
 
-    readline.emitKeypressEvents(input);
-    if (input.isTTY) {
-      try { input.setRawMode(true); } catch (_) {}
+function writeConfig(cfg) {
+  ensureDir();
+  if (!cfg.__layers) {
+    writeConfigFile(cfg.__path || CONFIG_PATH, cfg);
+    return;
+  }
+  const layers = cfg.__layers;
+  const { global, sources } = layers;
+  const layerOf = (kind) => {
+    if (kind === "global") return global;
+    if (!layers.local) layers.local = readProjectConfig(true);
+    return layers.local;
+  };
+  let touchedLocal = false;
+  // Presets removed from the view
+  for (const [merged, src] of Object.entries(sources)) {
+    if (Object.prototype.hasOwnProperty.call(cfg.envs, merged)) continue;
+    const layer = layerOf(src.kind);
+    delete layer.envs[src.name];
+    delete layer.meta[src.name];
+    delete sources[merged];
+    if (src.kind === "local") touchedLocal = true;
+  }
+  // Presets added to the view, and meta for all of them
+  const namespaced = projectPresetMode(global) === "namespace";
+  for (const merged of Object.keys(cfg.envs)) {
+    let src = sources[merged];
+    if (!src) {
+      const isLocal = (namespaced && merged.startsWith(LOCAL_PREFIX)) || (!namespaced && layers.target === "local");
+      const name = namespaced && merged.startsWith(LOCAL_PREFIX) ? merged.slice(LOCAL_PREFIX.length) : merged;
+      src = { kind: isLocal ? "local" : "global", name, shadows: false };
+      sources[merged] = src;
     }
-    try { input.resume(); } catch (_) {}
-    input.on("keypress", onKeypress);
-    render();
-  });
+    const layer = layerOf(src.kind);
+    layer.envs[src.name] = cfg.envs[merged];
+    if (cfg.meta[merged] && Object.keys(cfg.meta[merged]).length > 0) layer.meta[src.name] = cfg.meta[merged];
+    else delete layer.meta[src.name];
+    if (src.kind === "local") touchedLocal = true;
+  }
+  for (const [k, v] of Object.entries(cfg)) {
+    if (k !== "envs" && k !== "meta") global[k] = v;
+  }
+  writeConfigFile(global.__path, global);
+  if (touchedLocal && layers.local) writeConfigFile(layers.local.__path, layers.local);
 }
 
-async function selectMenuInteractively(items, { title = "Select:", initialIndex = 0 } = {}) {
-  return new Promise((resolve) => {
-    // Prefer real TTY for input
-    let input = process.stdin;
-    let needClose = false;
+// --global / --local on mutating commands
+function writeScope(flags) {
+  if (flags.global && flags.local) {
+    console.error(c.red("Use either --global or --local, not both."));
+    process.exit(1);
+  }
+  if (flags.global) return "global";
+  if (flags.local) return "local";
+  return undefined;
+}
+
+// Settings stored under `settings` in the global config.
+const SETTINGS = {
+  projectPresets: {
+    values: ["shadow", "namespace"],
+    default: "shadow",
+    desc: "How .quickenv.json presets combine with global ones: shadow global presets of the same name, or list them as local:<name>",
+  },
+  maskPatterns: {
+    default: DEFAULT_MASK_PATTERNS,
+    parse: (v) => String(v).split(",").map((p) => p.trim()).filter(Boolean),
+    desc: "Comma-separated key patterns (* and ? wildcards) whose values are masked in show/list and prompted without echo",
+  },
+  unlockTimeout: {
+    default: "0",
+    parse: (v) => { parseTimerDuration(v); return v; },
+    desc: "After a passphrase prompt, keep secrets unlocked this long (e.g. 15m); 0 prompts every time",
+  },
+  keyPolicy: {
+    default: "uppercase",
+    parse: (v) => { compileKeyPolicy(v); return v; },
+    // Also settable per project file (--local) and per preset (--preset).
+    scoped: true,
+    desc: "Allowed KEY names: uppercase, posix (lowercase too) or a custom regex; never a leading digit",
+  },
+};
+
+function parseSetting(key, value) {
+  const def = SETTINGS[key];
+  let parsed = value;
+  if (def.parse) {
     try {
-      if (!input.isTTY) {
-        const fd = fs.openSync("/dev/tty", "r");
-        input = new tty.ReadStream(fd);
-        needClose = true;
-      }
-    } catch (e) {
-      console.error(c.red("Non-interactive environment. Use command form instead."));
-      return resolve(null);
+      parsed = def.parse(value);
+    } catch (err) {
+      console.error(c.red(`Invalid value for ${key}: ${err.message}`));
+      process.exit(1);
+    }
+  }
+  if (def.values && !def.values.includes(parsed)) {
+    console.error(c.red(`Invalid value for ${key}: ${value}`));
+    console.error(c.dim(`Expected one of: ${def.values.join(", ")}`));
+    process.exit(1);
+  }
+  return parsed;
+}
+
+// `config <key> [value] --preset <name>` / `--local`: settings stored in a
+// preset's meta or in the project file instead of the global config.
+function cmdConfigScoped(key, value, { unset = false, preset } = {}) {
+  const def = SETTINGS[key];
+  if (!def || !def.scoped) {
+    console.error(c.red(def ? `${key} can only be set in the global config.` : `Unknown setting: ${key || "(missing)"}`));
+    process.exit(1);
+  }
+  const cfg = preset ? readConfig() : readConfig({ scope: "local" });
+  // Setting a policy may come before the preset's first key.
+  if (preset && !cfg.envs[preset] && typeof value !== "undefined" && !unset) cfg.envs[preset] = {};
+  if (preset) ensurePresetExists(cfg, preset);
+  if (!preset && !cfg.settings) cfg.settings = {};
+  const holder = preset ? cfg.meta[preset] || {} : cfg.settings;
+  const where = preset ? `preset ${preset}` : path.relative(process.cwd(), cfg.__path) || cfg.__path;
+  if (typeof value === "undefined" && !unset) {
+    process.stdout.write(Object.prototype.hasOwnProperty.call(holder, key) ? `${holder[key]}\n` : `${c.dim("(not set)")}\n`);
+    return;
+  }
+  if (unset) delete holder[key];
+  else holder[key] = parseSetting(key, value);
+  if (preset) {
+    if (Object.keys(holder).length > 0) cfg.meta[preset] = holder;
+    else delete cfg.meta[preset];
+  }
+  writeConfig(cfg);
+  console.log(unset ? `Unset ${key} (${where})` : `Saved: ${key} = ${holder[key]} (${where})`);
+}
+
+function cmdConfig(key, value, { unset = false, preset, scope } = {}) {
+  if (preset || scope === "local") {
+    cmdConfigScoped(key, value, { unset, preset });
+    return;
+  }
+  const cfg = readConfig({ scope: "global" });
+  if (!key) {
+    const width = Math.max(...Object.keys(SETTINGS).map((k) => k.length));
+    for (const [k, def] of Object.entries(SETTINGS)) {
+      const cur = Object.prototype.hasOwnProperty.call(cfg.settings, k) ? cfg.settings[k] : def.default;
+      const shown = typeof cur === "string" ? cur : JSON.stringify(cur);
+      console.log(`${c.cyan(c.bold(padRight(k, width)))} ${c.dim("=")} ${shown} ${c.dim(`— ${def.desc}`)}`);
+    }
+    return;
+  }
+  const def = SETTINGS[key];
+  if (!def) {
+    console.error(c.red(`Unknown setting: ${key}`));
+    console.error(c.dim(`Known settings: ${Object.keys(SETTINGS).join(", ")}`));
+    process.exit(1);
+  }
+  if (unset) {
+    delete cfg.settings[key];
+    writeConfig(cfg);
+    console.log(`Reset ${key} to ${JSON.stringify(def.default)}`);
+    return;
+  }
+  if (typeof value === "undefined") {
+    const cur = Object.prototype.hasOwnProperty.call(cfg.settings, key) ? cfg.settings[key] : def.default;
+    process.stdout.write((typeof cur === "string" ? cur : JSON.stringify(cur)) + "\n");
+    return;
+  }
+  const parsed = parseSetting(key, value);
+  cfg.settings[key] = parsed;
+  writeConfig(cfg);
+  console.log(`Saved: ${key} = ${typeof parsed === "string" ? parsed : JSON.stringify(parsed)}`);
+}
+
+// Every key must be exportable by a shell; the key policy can narrow that.
+const SHELL_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const KEY_POLICIES = {
+  uppercase: { re: /^[A-Z_][A-Z0-9_]*$/, desc: "uppercase letters, digits and underscores" },
+  posix: { re: SHELL_NAME_RE, desc: "letters, digits and underscores" },
+};
+
+function compileKeyPolicy(value) {
+  if (KEY_POLICIES[value]) return { name: value, ...KEY_POLICIES[value] };
+  // The regex must match the whole key, not just part of it.
+  let re;
+  try {
+    re = new RegExp(`^(?:${value})$`);
+  } catch (err) {
+    throw new Error(`not a policy name (${Object.keys(KEY_POLICIES).join(", ")}) or a valid regex: ${err.message}`);
+  }
+  return { name: value, re, desc: `the whole key must match ${value}` };
+}
+
+// The policy for keys of preset `name`: the preset's own meta.keyPolicy, then
+// its project file's settings, then the global setting.
+function keyPolicyFor(cfg, name) {
+  const meta = (cfg.meta && cfg.meta[name]) || {};
+  const src = presetSource(cfg, name);
+  let file = null;
+  if (cfg.__layers) file = src && src.kind === "local" ? cfg.__layers.local : null;
+  else if (cfg.__path !== CONFIG_PATH) file = cfg;
+  const value = meta.keyPolicy
+    || (file && file.settings && file.settings.keyPolicy)
+    || globalLayer(cfg).settings.keyPolicy
+    || SETTINGS.keyPolicy.default;
+  try {
+    return compileKeyPolicy(value);
+  } catch (err) {
+    throw new Error(`Invalid keyPolicy for ${name}: ${err.message}`);
+  }
+}
+
+// Why `key` is not allowed under `policy`, or null.
+function keyProblem(policy, key) {
+  if (!SHELL_NAME_RE.test(key)) return "not a valid variable name (letters, digits and underscores, not starting with a digit)";
+  if (!policy.re.test(key)) return `does not match the ${policy.name} key policy (${policy.desc})`;
+  return null;
+}
+
+function keyPolicyOrExit(cfg, name) {
+  try {
+    return keyPolicyFor(cfg, name);
+  } catch (err) {
+    console.error(c.red(err.message));
+    process.exit(1);
+  }
+}
+
+function ensureValidKey(cfg, name, key) {
+  const problem = keyProblem(keyPolicyOrExit(cfg, name), key);
+  if (problem) {
+    console.error(c.red(`Invalid KEY ${key}: ${problem}`));
+    process.exit(1);
+  }
+}
+
+// Ask for a KEY until it satisfies the preset's policy.
+async function askKey(rl, cfg, name, prompt) {
+  const policy = keyPolicyOrExit(cfg, name);
+  let key = (await askQuestion(rl, c.cyan(prompt))).trim();
+  let problem;
+  while ((problem = keyProblem(policy, key))) {
+    console.log(c.yellow(`Invalid KEY: ${problem}`));
+    key = (await askQuestion(rl, c.cyan("Re-enter KEY: "))).trim();
+  }
+  return key;
+}
+
+function hasNewline(val) {
+  return /\r|\n/.test(String(val));
+}
+
+// Value arguments of `set`: `-` reads stdin and `@path` reads a file (one
+// trailing newline is dropped); `@@text` is the literal `@text`.
+function readValueArg(arg) {
+  if (arg !== "-" && !(arg.startsWith("@") && !arg.startsWith("@@"))) {
+    return arg.startsWith("@@") ? arg.slice(1) : arg;
+  }
+  const source = arg === "-" ? "stdin" : arg.slice(1);
+  let text;
+  try {
+    text = fs.readFileSync(arg === "-" ? 0 : source, "utf8");
+  } catch (err) {
+    console.error(c.red(`Cannot read ${source}: ${err.message}`));
+    process.exit(1);
+  }
+  return text.replace(/\r?\n$/, "");
+}
+
+function shellQuote(value) {
+  const s = String(value);
+  // single-quote style, escape ' as '\''. Values are interpolated before
+  // they get here, so nothing needs to survive for the shell to expand.
+  return "'" + s.replace(/'/g, "'\\''") + "'";
+}
+
+const C_ESCAPES = { "\\": "\\\\", "'": "\\'", "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+
+// bash/zsh ANSI-C quoting keeps multi-line values on one output line.
+function ansiCQuote(value) {
+  return "$'" + String(value).replace(/[\\'\n\r\t]/g, (ch) => C_ESCAPES[ch]) + "'";
+}
+
+// The shell keeps track of what quickenv exported in an environment variable,
+// so a later `use`/`off` in the same shell can undo it precisely.
+const STATE_VAR = "QUICKENV_STATE";
+
+function readShellState() {
+  const raw = process.env[STATE_VAR];
+  if (!raw) return null;
+  try {
+    const st = JSON.parse(Buffer.from(raw, "base64").toString("utf8"));
+    if (!st || typeof st !== "object" || !Array.isArray(st.keys)) return null;
+    if (!st.saved || typeof st.saved !== "object") st.saved = {};
+    if (!Array.isArray(st.presets)) st.presets = [];
+    return st;
+  } catch (_) {
+    return null;
+  }
+}
+
+function encodeShellState(st) {
+  return Buffer.from(JSON.stringify(st), "utf8").toString("base64");
+}
+
+// Compute the statements needed to move the shell from `prev` (the decoded
+// state, or null) to exporting `vars` (or to nothing when vars is null).
+// `saved` remembers the value each key had before quickenv first touched it;
+// null means the key was unset.
+function planShellTransition(prev, vars, presets, { secretKeys = [] } = {}) {
+  const prevKeys = prev ? prev.keys : [];
+  const saved = prev ? { ...prev.saved } : {};
+  const next = vars || {};
+  const set = [];
+  const unset = [];
+  for (const k of prevKeys) {
+    if (Object.prototype.hasOwnProperty.call(next, k)) continue;
+    const orig = Object.prototype.hasOwnProperty.call(saved, k) ? saved[k] : null;
+    if (orig === null) unset.push(k);
+    else set.push([k, orig]);
+    delete saved[k];
+  }
+  for (const [k, v] of Object.entries(next)) {
+    if (!prevKeys.includes(k)) {
+      saved[k] = typeof process.env[k] === "undefined" ? null : process.env[k];
+    }
+    set.push([k, String(v)]);
+  }
+  const keys = Object.keys(next);
+  const state = keys.length > 0 || presets.length > 0 ? { presets, keys, saved } : null;
+  if (state && secretKeys.length > 0) {
+    state.fp = {};
+    for (const k of secretKeys) {
+      if (Object.prototype.hasOwnProperty.call(next, k)) state.fp[k] = fingerprint(next[k]);
+    }
+  }
+  return { set, unset, state };
+}
+
+const SHELLS = ["bash", "zsh", "fish", "powershell", "nu"];
+const SHELL_ALIASES = { sh: "bash", pwsh: "powershell", nushell: "nu" };
+
+function normalizeShell(name) {
+  if (!name) return null;
+  const n = String(name).toLowerCase();
+  const shell = SHELL_ALIASES[n] || n;
+  return SHELLS.includes(shell) ? shell : null;
+}
+
+// Pick the output dialect: explicit --shell, then QUICKENV_SHELL, then the
+// login shell from $SHELL, then bash.
+function resolveShell(requested) {
+  if (requested) {
+    const shell = normalizeShell(requested);
+    if (!shell) {
+      console.error(c.red(`Unsupported shell: ${requested}`));
+      console.error(c.dim(`Supported: ${SHELLS.join(", ")}`));
+      process.exit(1);
+    }
+    return shell;
+  }
+  return normalizeShell(process.env.QUICKENV_SHELL)
+    || normalizeShell(path.basename(process.env.SHELL || ""))
+    || "bash";
+}
+
+function fishQuote(value) {
+  // Inside fish single quotes only \\ and \' are escapes. Line breaks go
+  // between the quoted pieces as unquoted \n / \r escapes.
+  return String(value).split(/(\r|\n)/).map((part) => {
+    if (part === "\n") return "\\n";
+    if (part === "\r") return "\\r";
+    return "'" + part.replace(/[\\']/g, "\\$&") + "'";
+  }).join("");
+}
+
+function psQuote(value) {
+  // PowerShell treats the typographic single quotes as quote characters too;
+  // each of them is escaped by doubling. Line breaks are concatenated in as
+  // "`n" / "`r" so the statement stays on one line.
+  return String(value).split(/(\r|\n)/).map((part) => {
+    if (part === "\n") return '"`n"';
+    if (part === "\r") return '"`r"';
+    return "'" + part.replace(/['\u2018\u2019\u201A\u201B]/g, "$&$&") + "'";
+  }).join(" + ");
+}
+
+const shellDialects = {
+  posix: {
+    set: (k, v) => `export ${k}=${hasNewline(v) ? ansiCQuote(v) : shellQuote(v)};`,
+    unset: (k) => `unset ${k};`,
+  },
+  fish: {
+    set: (k, v) => `set -gx ${k} ${fishQuote(v)};`,
+    unset: (k) => `set -e ${k};`,
+  },
+  powershell: {
+    set: (k, v) => `$env:${k} = ${psQuote(v)}`,
+    unset: (k) => `Remove-Item -Path Env:${k} -ErrorAction SilentlyContinue`,
+  },
+};
+
+// A plan whose `state` is undefined leaves QUICKENV_STATE alone.
+function renderShellPlan(plan, shell = "bash") {
+  const set = [...plan.set];
+  const unset = [...plan.unset];
+  if (plan.state) set.push([STATE_VAR, encodeShellState(plan.state)]);
+  else if (plan.state === null) unset.push(STATE_VAR);
+  if (shell === "nu") {
+    // Nushell has no eval; its helper reads this record and applies it with
+    // load-env / hide-env.
+    const rec = {};
+    for (const [k, v] of set) rec[k] = v;
+    return JSON.stringify({ set: rec, unset }) + "\n";
+  }
+  const d = shellDialects[shell] || shellDialects.posix;
+  const lines = [];
+  for (const k of unset) lines.push(d.unset(k));
+  for (const [k, v] of set) lines.push(d.set(k, v));
+  return lines.length > 0 ? lines.join("\n") + "\n" : "";
+}
+
+// Split command arguments into positionals and --flags. Flags named in
+// `withValue` take the next argument (or `--flag=value`); anything after a
+// bare `--` is returned untouched in `rest`.
+function parseArgs(args, withValue = []) {
+  const positional = [];
+  const flags = {};
+  let rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--") {
+      rest = args.slice(i + 1);
+      break;
+    }
+    if (a.startsWith("--") && a.length > 2) {
+      const eq = a.indexOf("=");
+      const flag = eq === -1 ? a.slice(2) : a.slice(2, eq);
+      if (eq !== -1) flags[flag] = a.slice(eq + 1);
+      else if (withValue.includes(flag)) flags[flag] = args[++i];
+      else flags[flag] = true;
+    } else {
+      positional.push(a);
+    }
+  }
+  return { positional, flags, rest };
+}
+
+function padRight(str, len) {
+  const s = String(str);
+  if (s.length >= len) return s;
+  return s + " ".repeat(len - s.length);
+}
+
+// Output mode, set by main() from --json / --no-color (and NO_COLOR).
+let colorEnabled = !process.env.NO_COLOR;
+let outputJson = false;
+
+// Minimal ANSI color helpers (used for interactive UI)
+function _color(open, close) {
+  return (s) => (colorEnabled ? `${open}${s}${close}` : String(s));
+}
+const c = {
+  bold: _color("\x1b[1m", "\x1b[22m"),
+  dim: _color("\x1b[2m", "\x1b[22m"),
+  red: _color("\x1b[31m", "\x1b[39m"),
+  green: _color("\x1b[32m", "\x1b[39m"),
+  yellow: _color("\x1b[33m", "\x1b[39m"),
+  blue: _color("\x1b[34m", "\x1b[39m"),
+  magenta: _color("\x1b[35m", "\x1b[39m"),
+  cyan: _color("\x1b[36m", "\x1b[39m"),
+  gray: _color("\x1b[90m", "\x1b[39m"),
+};
+
+function stripAnsi(s) {
+  return String(s).replace(/\x1b\[[0-9;]*m/g, "");
+}
+
+function printJson(doc) {
+  process.stdout.write(JSON.stringify(doc, null, 2) + "\n");
+}
+
+// Pull --json and --no-color out of the arguments (up to a bare `--`).
+function applyGlobalFlags(argv) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--") {
+      out.push(...argv.slice(i));
+      break;
+    }
+    if (a === "--json") outputJson = true;
+    else if (a === "--no-color") colorEnabled = false;
+    else out.push(a);
+  }
+  if (outputJson) colorEnabled = false;
+  return out;
+}
+
+// One-line rendering of a value: multi-line values show their first line and
+// the line count.
+function summarizeValue(value) {
+  if (isSource(value)) return c.dim(sourceLabel(value));
+  const lines = String(value).split(/\r?\n/);
+  if (lines.length === 1) return String(value);
+  return `${lines[0]} ${c.dim(`… (${lines.length} lines)`)}`;
+}
+
+function printAlignedVars(vars, notes = {}) {
+  const keys = Object.keys(vars);
+  if (keys.length === 0) {
+    console.log(c.dim("(no variables)"));
+    return;
+  }
+  const width = Math.max(...keys.map((k) => k.length));
+  for (const k of keys.sort()) {
+    const val = isEncrypted(vars[k]) ? c.dim(`${SECRET_PLACEHOLDER} (encrypted)`) : summarizeValue(vars[k]);
+    const keyCol = c.cyan(c.bold(padRight(k, width)));
+    const eq = c.dim("=");
+    const note = notes[k] ? " " + c.dim(notes[k]) : "";
+    console.log(`${keyCol} ${eq} ${val}${note}`);
+  }
+}
+
+function presetParents(cfg, name) {
+  const meta = (cfg.meta && cfg.meta[name]) || {};
+  if (!meta.extends) return [];
+  return Array.isArray(meta.extends) ? meta.extends : [meta.extends];
+}
+
+// Merge a preset with everything it extends. Parents are applied in the
+// order listed (later parents win) and the preset's own keys win over all of
+// them. `origin[K]` names the preset the effective value came from and
+// `overrides[K]` is set when the preset redefines an inherited key.
+// Throws on missing presets and on cycles.
+function resolvePreset(cfg, name, chain = []) {
+  if (chain.includes(name)) {
+    throw new Error(`Cycle in extends chain: ${[...chain, name].join(" -> ")}`);
+  }
+  if (!cfg.envs[name]) {
+    if (chain.length === 0) throw new Error(`Preset not found: ${name}`);
+    throw new Error(`Preset \`${chain[chain.length - 1]}\` extends missing preset \`${name}\``);
+  }
+  const vars = {};
+  const origin = {};
+  const overrides = {};
+  for (const parent of presetParents(cfg, name)) {
+    const res = resolvePreset(cfg, parent, [...chain, name]);
+    Object.assign(vars, res.vars);
+    Object.assign(origin, res.origin);
+  }
+  for (const [k, v] of Object.entries(cfg.envs[name])) {
+    if (Object.prototype.hasOwnProperty.call(vars, k)) overrides[k] = origin[k];
+    vars[k] = v;
+    origin[k] = name;
+  }
+  return { vars, origin, overrides };
+}
+
+function resolvePresetOrExit(cfg, name) {
+  try {
+    return resolvePreset(cfg, name);
+  } catch (err) {
+    console.error(c.red(err.message));
+    process.exit(1);
+  }
+}
+
+// The presets new shells start with, bottom layer first (`use
+// --save-default`). cfg.current holds one name, or an array for a stack.
+function defaultStack(cfg) {
+  if (Array.isArray(cfg.current)) return cfg.current;
+  return cfg.current ? [cfg.current] : [];
+}
+
+function setDefaultStack(cfg, names) {
+  cfg.current = names.length === 0 ? null : names.length === 1 ? names[0] : names;
+}
+
+// What this shell session has applied, bottom layer first. The shell state
+// is the truth here, so other terminals never change it.
+function activeStack() {
+  const state = readShellState();
+  return state ? state.presets : [];
+}
+
+// The top layer active in this shell (or of the default), where pickers
+// start.
+function topPreset(cfg) {
+  const stack = activeStack().length > 0 ? activeStack() : defaultStack(cfg);
+  return stack.length > 0 ? stack[stack.length - 1] : null;
+}
+
+// Like resolvePreset() for several presets applied in order. `layer` names
+// the stacked preset each key comes from; `overrides` the layer (or parent)
+// whose value it replaces.
+function resolveStack(cfg, names) {
+  const out = { vars: {}, origin: {}, overrides: {}, layer: {} };
+  for (const n of names) {
+    const res = resolvePreset(cfg, n);
+    for (const [k, v] of Object.entries(res.vars)) {
+      if (out.layer[k]) out.overrides[k] = out.layer[k];
+      else if (res.overrides[k]) out.overrides[k] = res.overrides[k];
+      else delete out.overrides[k];
+      out.vars[k] = v;
+      out.origin[k] = res.origin[k];
+      out.layer[k] = n;
+    }
+  }
+  return out;
+}
+
+function resolveStackOrExit(cfg, names) {
+  try {
+    return resolveStack(cfg, names);
+  } catch (err) {
+    console.error(c.red(err.message));
+    process.exit(1);
+  }
+}
+
+// Dim annotations for a stack: the layer each key comes from, the parent it
+// inherits from there and the layer it overrides.
+function layerNotes(res) {
+  const notes = {};
+  for (const k of Object.keys(res.vars)) {
+    const parts = [res.layer[k]];
+    if (res.origin[k] !== res.layer[k]) parts.push(`from ${res.origin[k]}`);
+    if (res.overrides[k]) parts.push(`overrides ${res.overrides[k]}`);
+    notes[k] = `(${parts.join(", ")})`;
+  }
+  return notes;
+}
+
+// Dim annotations for `show`: where inherited keys come from and which
+// inherited keys this preset overrides.
+function inheritanceNotes(name, res) {
+  const notes = {};
+  for (const k of Object.keys(res.vars)) {
+    if (res.origin[k] !== name) notes[k] = `(from ${res.origin[k]})`;
+    else if (res.overrides[k]) notes[k] = `(overrides ${res.overrides[k]})`;
+  }
+  return notes;
+}
+
+// The environment as it was before quickenv touched this shell: keys exported
+// by the active preset are replaced with their saved original values.
+function baseEnv() {
+  const env = { ...process.env };
+  const state = readShellState();
+  if (state) {
+    for (const k of state.keys) {
+      const orig = Object.prototype.hasOwnProperty.call(state.saved, k) ? state.saved[k] : null;
+      if (orig === null) delete env[k];
+      else env[k] = orig;
+    }
+  }
+  delete env[STATE_VAR];
+  return env;
+}
+
+// A literal value in template form: every `$` doubled.
+function escapeTemplate(value) {
+  return String(value).replace(/\$/g, "$$$$");
+}
+
+// Expand `${NAME}` references in preset values. NAME is looked up among the
+// preset's own (resolved) keys first and then in `env`. `${NAME:-default}`
+// falls back when NAME is unset or empty, `${NAME-default}` only when unset,
+// and `$$` is a literal `$`. Throws on reference cycles and malformed
+// templates.
+function interpolateVars(vars, env) {
+  const out = {};
+  const resolving = [];
+
+  function lookup(name) {
+    if (Object.prototype.hasOwnProperty.call(vars, name)) return resolveKey(name);
+    return env[name];
+  }
+
+  function expand(tpl, key) {
+    let res = "";
+    let i = 0;
+    while (i < tpl.length) {
+      const ch = tpl[i];
+      if (ch !== "$") { res += ch; i++; continue; }
+      if (tpl[i + 1] === "$") { res += "$"; i += 2; continue; }
+      if (tpl[i + 1] !== "{") { res += ch; i++; continue; }
+      // Find the matching close brace, allowing nested ${...} in defaults.
+      let depth = 1;
+      let j = i + 2;
+      while (j < tpl.length && depth > 0) {
+        if (tpl[j] === "$" && tpl[j + 1] === "{") { depth++; j += 2; continue; }
+        if (tpl[j] === "}") depth--;
+        if (depth > 0) j++;
+      }
+      if (depth > 0) throw new Error(`Unterminated \${ in ${key} (write $\${ for a literal \${)`);
+      const body = tpl.slice(i + 2, j);
+      const m = /^([A-Za-z_][A-Za-z0-9_]*)(?:(:?-)([\s\S]*))?$/.exec(body);
+      if (!m) throw new Error(`Invalid reference \${${body}} in ${key}`);
+      const val = lookup(m[1]);
+      if (m[2] === ":-" && (typeof val === "undefined" || val === "")) res += expand(m[3], key);
+      else if (m[2] === "-" && typeof val === "undefined") res += expand(m[3], key);
+      else res += typeof val === "undefined" ? "" : val;
+      i = j + 1;
+    }
+    return res;
+  }
+
+  function resolveKey(key) {
+    if (Object.prototype.hasOwnProperty.call(out, key)) return out[key];
+    if (resolving.includes(key)) {
+      throw new Error(`Reference cycle: ${[...resolving.slice(resolving.indexOf(key)), key].join(" -> ")}`);
+    }
+    resolving.push(key);
+    out[key] = expand(String(vars[key]), key);
+    resolving.pop();
+    return out[key];
+  }
+
+  for (const k of Object.keys(vars)) resolveKey(k);
+  return out;
+}
+
+// Encrypted values are stored as { "encrypted": "v1:<iv>:<tag>:<data>" }
+// (AES-256-GCM, base64 parts). The key is derived from a passphrase with
+// scrypt; the salt and a check token live under `crypto` in the global
+// config so a wrong passphrase is detected before anything is decrypted.
+const SECRET_PLACEHOLDER = "••••••";
+const SCRYPT_PARAMS = { N: 1 << 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const CHECK_PLAINTEXT = "quickenv";
+const AGENT_SOCKET = process.platform === "win32"
+  ? `\\\\.\\pipe\\quickenv-${os.userInfo().username}`
+  : path.join(CONFIG_DIR, "agent.sock");
+
+let unlockedKey = null;
+
+function isEncrypted(v) {
+  return !!v && typeof v === "object" && typeof v.encrypted === "string";
+}
+
+// Replace encrypted values, and dynamic sources whose value is unknown until
+// `use`, with a placeholder so they can be interpolated without the
+// passphrase or running anything.
+function maskEncrypted(vars) {
+  const out = {};
+  for (const [k, v] of Object.entries(vars)) out[k] = isEncrypted(v) || isSource(v) ? SECRET_PLACEHOLDER : v;
+  return out;
+}
+
+function deriveKey(passphrase, params) {
+  return crypto.scryptSync(String(passphrase), Buffer.from(params.salt, "base64"), 32, {
+    N: params.N, r: params.r, p: params.p, maxmem: SCRYPT_MAXMEM,
+  });
+}
+
+function encryptWithKey(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return ["v1", iv.toString("base64"), cipher.getAuthTag().toString("base64"), data.toString("base64")].join(":");
+}
+
+function decryptWithKey(key, payload) {
+  const [ver, iv, tag, data] = String(payload).split(":");
+  if (ver !== "v1" || typeof data === "undefined") throw new Error("unsupported encrypted value");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+}
+
+function keyMatches(params, key) {
+  try {
+    return decryptWithKey(key, params.check) === CHECK_PLAINTEXT;
+  } catch (_) {
+    return false;
+  }
+}
+
+function globalLayer(cfg) {
+  if (cfg.__layers) return cfg.__layers.global;
+  return cfg.__path === CONFIG_PATH ? cfg : readGlobalConfig();
+}
+
+function newCryptoParams(passphrase) {
+  const params = { kdf: "scrypt", ...SCRYPT_PARAMS, salt: crypto.randomBytes(16).toString("base64") };
+  const key = deriveKey(passphrase, params);
+  params.check = encryptWithKey(key, CHECK_PLAINTEXT);
+  return { params, key };
+}
+
+function parseDuration(str) {
+  const m = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(str).trim());
+  if (!m) throw new Error(`invalid duration: ${str} (use e.g. 30s, 15m, 1h)`);
+  const mult = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2] || "s"];
+  return Number(m[1]) * mult;
+}
+
+// Timers fire at once past 2^31-1 ms, so durations that drive a timer
+// (unlock and command timeouts) stop at about 24 days.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function parseTimerDuration(str) {
+  const ms = parseDuration(str);
+  if (ms > MAX_TIMER_MS) throw new Error(`duration too long: ${str} (at most 24d)`);
+  return ms;
+}
+
+function formatDuration(ms) {
+  if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+  if (ms % 60000 === 0) return `${ms / 60000}m`;
+  return `${Math.round(ms / 1000)}s`;
+}
+
+function openTtyInput() {
+  if (process.stdin.isTTY) return { input: process.stdin, close: false };
+  const fd = fs.openSync("/dev/tty", "r");
+  return { input: new tty.ReadStream(fd), close: true };
+}
+
+// Read a line from the terminal without echoing it. Resolves null when there
+// is no terminal or the user presses Ctrl-C. With `untilEof`, reads lines
+// until one containing only EOF and resolves them joined with newlines.
+function askHidden(prompt, { untilEof = false } = {}) {
+  return new Promise((resolve) => {
+    let io;
+    try {
+      io = openTtyInput();
+    } catch (_) {
+      resolve(null);
+      return;
+    }
+    const { input } = io;
+    let chars = [];
+    const lines = [];
+    let lastCr = false;
+    writeStderr(prompt);
+    function done(val) {
+      input.off("data", onData);
+      try { input.setRawMode(false); } catch (_) {}
+      try { input.pause(); } catch (_) {}
+      if (io.close) {
+        try { input.destroy(); } catch (_) {}
+      }
+      writeStderr("\n");
+      resolve(val);
+    }
+    function onData(chunk) {
+      for (const ch of chunk.toString("utf8")) {
+        if (untilEof && (ch === "\r" || ch === "\n")) {
+          // A pasted CRLF ends one line, not two.
+          if (ch === "\n" && lastCr) { lastCr = false; continue; }
+          lastCr = ch === "\r";
+          const line = chars.join("");
+          chars = [];
+          if (line === "EOF") return done(lines.join("\n"));
+          lines.push(line);
+          continue;
+        }
+        lastCr = false;
+        if (untilEof && ch === "\u0004") return done((chars.length > 0 ? [...lines, chars.join("")] : lines).join("\n"));
+        if (ch === "\r" || ch === "\n" || ch === "\u0004") return done(chars.join(""));
+        if (ch === "\u0003") return done(null);
+        if (ch === "\u007f" || ch === "\b") chars = chars.slice(0, -1);
+        else if (ch >= " ") chars.push(ch);
+      }
+    }
+    try { input.setRawMode(true); } catch (_) {}
+    input.resume();
+    input.on("data", onData);
+  });
+}
+
+function agentRequest(message, timeoutMs = 1000) {
+  return new Promise((resolve) => {
+    let data = "";
+    const sock = net.connect(AGENT_SOCKET);
+    const timer = setTimeout(() => { sock.destroy(); resolve(null); }, timeoutMs);
+    sock.on("connect", () => sock.end(message + "\n"));
+    sock.on("data", (d) => { data += d; });
+    sock.on("end", () => { clearTimeout(timer); resolve(data.trim() || null); });
+    sock.on("error", () => { clearTimeout(timer); resolve(null); });
+  });
+}
+
+// Hand the derived key to a detached agent process that answers on a
+// user-only socket until `ttlMs` elapses (or `secret lock`).
+async function startAgent(key, ttlMs) {
+  await agentRequest("stop");
+  const child = spawn(process.execPath, [__filename, "__agent"], { detached: true, stdio: ["pipe", "ignore", "ignore"] });
+  child.stdin.end(JSON.stringify({ key: key.toString("hex"), ttl: ttlMs }));
+  child.unref();
+  for (let i = 0; i < 20; i++) {
+    if (await agentRequest("ping", 200) === "pong") return true;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  return false;
+}
+
+function runAgent() {
+  let raw = "";
+  process.stdin.on("data", (d) => { raw += d; });
+  process.stdin.on("end", () => {
+    const { key, ttl } = JSON.parse(raw);
+    const server = net.createServer((conn) => {
+      let msg = "";
+      conn.on("data", (d) => {
+        msg += d;
+        if (!msg.includes("\n")) return;
+        const cmd = msg.trim();
+        if (cmd === "get") conn.end(key + "\n");
+        else if (cmd === "ping") conn.end("pong\n");
+        else if (cmd === "stop") { conn.end("ok\n"); shutdown(); }
+        else conn.end("\n");
+      });
+      conn.on("error", () => {});
+    });
+    function shutdown() {
+      server.close();
+      if (process.platform !== "win32") {
+        try { fs.unlinkSync(AGENT_SOCKET); } catch (_) {}
+      }
+      process.exit(0);
+    }
+    if (process.platform !== "win32") {
+      try { fs.unlinkSync(AGENT_SOCKET); } catch (_) {}
+    }
+    const oldMask = process.umask(0o177);
+    server.listen(AGENT_SOCKET, () => process.umask(oldMask));
+    setTimeout(shutdown, Math.min(ttl, MAX_TIMER_MS));
+  });
+}
+
+// Get the key for encrypted values: QUICKENV_PASSPHRASE, then a running
+// agent, then a hidden prompt. With `create`, a first passphrase is set up
+// when the config has none yet.
+async function getSecretKey(cfg, { create = false } = {}) {
+  if (unlockedKey) return unlockedKey;
+  const global = globalLayer(cfg);
+  let params = global.crypto;
+  if (!params) {
+    if (!create) {
+      console.error(c.red("This config has encrypted values but no passphrase settings (`crypto`)."));
+      process.exit(1);
+    }
+    let pass = process.env.QUICKENV_PASSPHRASE;
+    if (!pass) {
+      pass = await askHidden(c.cyan("New passphrase for secrets: "));
+      const again = pass === null ? null : await askHidden(c.cyan("Repeat passphrase: "));
+      if (pass === null || again === null) {
+        console.error(c.yellow("Cancelled."));
+        process.exit(1);
+      }
+      if (pass !== again) {
+        console.error(c.red("Passphrases do not match."));
+        process.exit(1);
+      }
+    }
+    if (!pass) {
+      console.error(c.red("Passphrase cannot be empty."));
+      process.exit(1);
+    }
+    const created = newCryptoParams(pass);
+    global.crypto = created.params;
+    if (cfg !== global) cfg.crypto = created.params;
+    unlockedKey = created.key;
+    return unlockedKey;
+  }
+  if (process.env.QUICKENV_PASSPHRASE) {
+    const key = deriveKey(process.env.QUICKENV_PASSPHRASE, params);
+    if (!keyMatches(params, key)) {
+      console.error(c.red("Wrong passphrase in QUICKENV_PASSPHRASE; nothing was decrypted."));
+      process.exit(1);
+    }
+    unlockedKey = key;
+    return key;
+  }
+  const fromAgent = await agentRequest("get");
+  if (fromAgent && /^[0-9a-f]{64}$/.test(fromAgent)) {
+    const key = Buffer.from(fromAgent, "hex");
+    if (keyMatches(params, key)) {
+      unlockedKey = key;
+      return key;
+    }
+  }
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const pass = await askHidden(c.cyan("Passphrase: "));
+    if (pass === null) {
+      console.error(c.red("A passphrase is needed to decrypt secrets (set QUICKENV_PASSPHRASE when there is no terminal)."));
+      process.exit(1);
+    }
+    const key = deriveKey(pass, params);
+    if (keyMatches(params, key)) {
+      unlockedKey = key;
+      const ttl = (global.settings && global.settings.unlockTimeout) || "0";
+      let ms = 0;
+      try {
+        ms = parseTimerDuration(ttl);
+      } catch (_) { /* unusable setting: prompt every time */ }
+      if (ms > 0) await startAgent(key, ms);
+      return key;
+    }
+    console.error(c.red("Wrong passphrase."));
+  }
+  console.error(c.red("Giving up; nothing was decrypted."));
+  process.exit(1);
+}
+
+async function decryptVars(cfg, vars) {
+  const keys = Object.keys(vars).filter((k) => isEncrypted(vars[k]));
+  if (keys.length === 0) return vars;
+  const key = await getSecretKey(cfg);
+  const out = { ...vars };
+  for (const k of keys) {
+    try {
+      out[k] = decryptWithKey(key, vars[k].encrypted);
+    } catch (_) {
+      console.error(c.red(`Cannot decrypt ${k}: the value is corrupted or was encrypted with another passphrase.`));
+      process.exit(1);
+    }
+  }
+  return out;
+}
+
+function isSecretPreset(cfg, name) {
+  return !!(cfg.meta[name] && cfg.meta[name].secret);
+}
+
+function ensureSecretsAllowed(cfg, name) {
+  const src = presetSource(cfg, name);
+  if (src && src.kind === "local") {
+    console.error(c.red(`Secrets can only be stored in the global config; \`${name}\` lives in ${src.file}.`));
+    process.exit(1);
+  }
+}
+
+// The keys an interpolateVars() error is about.
+function templateCulprits(err) {
+  const cycle = /^Reference cycle: (.*)$/.exec(err.message);
+  if (cycle) return cycle[1].split(" -> ");
+  const m = / in ([A-Za-z_][A-Za-z0-9_]*)(?: \(.*\))?$/.exec(err.message);
+  return m ? [m[1]] : [];
+}
+
+// Why storing `value` as name.key would break expanding the preset (a
+// malformed template or a reference cycle), or null.
+function templateProblem(cfg, name, key, value) {
+  let vars = cfg.envs[name] || {};
+  try {
+    vars = resolvePreset(cfg, name).vars;
+  } catch (_) {}
+  try {
+    interpolateVars({ ...maskEncrypted(vars), [key]: String(value) }, baseEnv());
+  } catch (err) {
+    if (templateCulprits(err).includes(key)) return `is not a valid template: ${err.message}`;
+  }
+  return null;
+}
+
+function valueProblem(cfg, name, key, value) {
+  return templateProblem(cfg, name, key, value) || schemaSetProblem(cfg, name, key, value);
+}
+
+function ensureValidValue(cfg, name, key, value) {
+  const problem = valueProblem(cfg, name, key, value);
+  if (!problem) return;
+  console.error(c.red(`${name}.${key} ${problem}`));
+  process.exit(1);
+}
+
+// Store a value, encrypting it when the preset is secret or the key already
+// holds an encrypted value. Dynamic source definitions are stored as they are.
+async function storeValue(cfg, name, key, value) {
+  const prev = cfg.envs[name][key];
+  if (isSource(value)) {
+    cfg.envs[name][key] = { ...value };
+  } else if (isSecretPreset(cfg, name) || isEncrypted(prev)) {
+    ensureSecretsAllowed(cfg, name);
+    const k = await getSecretKey(cfg, { create: true });
+    cfg.envs[name][key] = { encrypted: encryptWithKey(k, value) };
+  } else {
+    cfg.envs[name][key] = value;
+  }
+}
+
+// Keys whose exported value depends on an encrypted value, directly or
+// through interpolation. Their fingerprints go into the shell state so the
+// applied/partial status works without the passphrase.
+function secretDependentKeys(cfg, names) {
+  const vars = {};
+  for (const n of names) Object.assign(vars, resolvePreset(cfg, n).vars);
+  let display;
+  try {
+    display = interpolateVars(maskEncrypted(vars), baseEnv());
+  } catch (_) {
+    return [];
+  }
+  return Object.keys(display).filter((k) => display[k].includes(SECRET_PLACEHOLDER));
+}
+
+function fingerprint(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 16);
+}
+
+async function cmdSecretSet(name, key, value, { scope } = {}) {
+  if (!name || !key) {
+    console.error("Usage: quickenv secret set <preset> <KEY> [VALUE]   (prompts when VALUE is omitted)");
+    process.exit(1);
+  }
+  const cfg = readConfig({ scope });
+  ensureValidKey(cfg, name, key);
+  if (!cfg.envs[name]) cfg.envs[name] = {};
+  ensureSecretsAllowed(cfg, name);
+  if (typeof value === "undefined") {
+    value = await askHidden(c.cyan(`Value for ${name}.${key}: `));
+    if (value === null) {
+      console.error(c.yellow("Cancelled."));
+      process.exit(1);
+    }
+  }
+  ensureValidValue(cfg, name, key, value);
+  const k = await getSecretKey(cfg, { create: true });
+  cfg.envs[name][key] = { encrypted: encryptWithKey(k, value) };
+  writeConfig(cfg);
+  console.log(`Saved encrypted: ${name}.${key}`);
+}
+
+// Mark a whole preset secret (encrypting its values) or, with --off, decrypt
+// it back to plain values.
+async function cmdSecretPreset(name, { off = false } = {}) {
+  const cfg = readConfig();
+  ensurePresetExists(cfg, name);
+  ensureSecretsAllowed(cfg, name);
+  const vars = cfg.envs[name];
+  const meta = cfg.meta[name] || {};
+  if (off) {
+    const plain = await decryptVars(cfg, vars);
+    Object.assign(vars, plain);
+    delete meta.secret;
+  } else {
+    const k = await getSecretKey(cfg, { create: true });
+    for (const [key, v] of Object.entries(vars)) {
+      if (!isEncrypted(v) && !isSource(v)) vars[key] = { encrypted: encryptWithKey(k, v) };
+    }
+    meta.secret = true;
+  }
+  if (Object.keys(meta).length > 0) cfg.meta[name] = meta;
+  else delete cfg.meta[name];
+  writeConfig(cfg);
+  if (!off) {
+    scrubSnapshots((n, key, v) => n === name && !isEncrypted(v));
+    scrubJournal(name);
+  }
+  console.log(off ? `Decrypted preset: ${name}` : `Encrypted preset: ${name} (new keys will be encrypted too)`);
+}
+
+async function cmdSecretRotate() {
+  const cfg = readConfig({ scope: "global" });
+  if (!cfg.crypto) {
+    console.error(c.red("No passphrase set yet. Store a secret with `quickenv secret set` first."));
+    process.exit(1);
+  }
+  const oldKey = await getSecretKey(cfg);
+  const pass = await askHidden(c.cyan("New passphrase: "));
+  const again = pass === null ? null : await askHidden(c.cyan("Repeat new passphrase: "));
+  if (pass === null || again === null) {
+    console.error(c.yellow("Cancelled."));
+    process.exit(1);
+  }
+  if (pass !== again || !pass) {
+    console.error(c.red(pass ? "Passphrases do not match." : "Passphrase cannot be empty."));
+    process.exit(1);
+  }
+  const created = newCryptoParams(pass);
+  // Decrypt everything first so a bad value aborts before anything changes.
+  const rewritten = [];
+  for (const [name, vars] of Object.entries(cfg.envs)) {
+    for (const [key, v] of Object.entries(vars)) {
+      if (!isEncrypted(v)) continue;
+      let plain;
+      try {
+        plain = decryptWithKey(oldKey, v.encrypted);
+      } catch (_) {
+        console.error(c.red(`Cannot decrypt ${name}.${key}; passphrase not changed.`));
+        process.exit(1);
+      }
+      rewritten.push([vars, key, plain]);
+    }
+  }
+  for (const [vars, key, plain] of rewritten) vars[key] = { encrypted: encryptWithKey(created.key, plain) };
+  cfg.crypto = created.params;
+  writeConfig(cfg);
+  // Ciphertext under the old passphrase must not outlive it in history.
+  scrubSnapshots((name, key, v) => isEncrypted(v));
+  await agentRequest("stop");
+  console.log(`Passphrase changed; re-encrypted ${rewritten.length} value(s).`);
+}
+
+async function cmdSecret(sub, args, flags) {
+  switch (sub) {
+    case "set": {
+      let value;
+      if (args.length === 3) value = readValueArg(args[2]);
+      else if (args.length > 3) value = args.slice(2).join(" ");
+      await cmdSecretSet(args[0], args[1], value, { scope: writeScope(flags) });
+      break;
+    }
+    case "preset":
+      if (!args[0]) {
+        console.error("Usage: quickenv secret preset <name> [--off]");
+        process.exit(1);
+      }
+      await cmdSecretPreset(args[0], { off: !!flags.off });
+      break;
+    case "rotate-passphrase":
+      await cmdSecretRotate();
+      break;
+    case "unlock": {
+      const cfg = readConfig({ scope: "global" });
+      if (!cfg.crypto) {
+        console.error(c.red("No passphrase set yet. Store a secret with `quickenv secret set` first."));
+        process.exit(1);
+      }
+      let ttl;
+      try {
+        ttl = parseTimerDuration(flags.timeout || (cfg.settings.unlockTimeout && cfg.settings.unlockTimeout !== "0" ? cfg.settings.unlockTimeout : "15m"));
+      } catch (err) {
+        console.error(c.red(err.message));
+        process.exit(1);
+      }
+      const key = await getSecretKey(cfg);
+      if (!(await startAgent(key, ttl))) {
+        console.error(c.red("Could not start the unlock agent."));
+        process.exit(1);
+      }
+      console.log(`Unlocked for ${formatDuration(ttl)}.`);
+      break;
+    }
+    case "lock":
+      console.log((await agentRequest("stop")) ? "Locked." : c.dim("Not unlocked."));
+      break;
+    default:
+      console.error("Usage: quickenv secret set <preset> <KEY> [VALUE] | preset <name> [--off] | unlock [--timeout 15m] | lock | rotate-passphrase");
+      process.exit(1);
+  }
+}
+
+function maskPatternRegexes(cfg) {
+  const patterns = (cfg.settings && cfg.settings.maskPatterns) || DEFAULT_MASK_PATTERNS;
+  return patterns.map((p) => new RegExp("^" + p.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$", "i"));
+}
+
+// A key is sensitive when its value is encrypted, it is flagged in the
+// preset's `meta.sensitive` list, or its name matches a mask pattern.
+function isSensitiveKey(cfg, name, key, regexes = maskPatternRegexes(cfg)) {
+  const vars = cfg.envs[name] || {};
+  if (isEncrypted(vars[key])) return true;
+  const meta = cfg.meta[name] || {};
+  if (Array.isArray(meta.sensitive) && meta.sensitive.includes(key)) return true;
+  return regexes.some((re) => re.test(key));
+}
+
+function sensitiveKeys(cfg, res) {
+  const regexes = maskPatternRegexes(cfg);
+  return new Set(Object.keys(res.vars).filter((k) => isEncrypted(res.vars[k]) || isSensitiveKey(cfg, res.origin[k], k, regexes)));
+}
+
+// Resolve a preset's (or a stack's) inheritance and interpolation in one go
+// for display, exiting with a readable message on any error. `shown` holds
+// the raw values and `values` the expanded ones; sensitive values are masked in
+// both (including where they are interpolated) unless `reveal` is set, which
+// also decrypts. Dynamic sources are shown as their definition unless
+// `fetch` runs them. Use expandStack() for values that leave the process.
+async function expandPresetOrExit(cfg, name, { reveal = false, fetch = false } = {}) {
+  const res = resolveStackOrExit(cfg, [].concat(name));
+  const raw = fetch ? resolveSources(cfg, res.vars, res.origin) : res.vars;
+  let shown;
+  let source;
+  if (reveal) {
+    shown = await decryptVars(cfg, raw);
+    source = labelSources(shown);
+  } else {
+    const sens = sensitiveKeys(cfg, res);
+    shown = {};
+    source = {};
+    for (const [k, v] of Object.entries(raw)) {
+      source[k] = sens.has(k) ? SECRET_PLACEHOLDER : isSource(v) ? sourceLabel(v) : v;
+      shown[k] = sens.has(k) && !isEncrypted(v) && !isSource(v) ? c.dim(SECRET_PLACEHOLDER) : v;
+    }
+  }
+  try {
+    return { ...res, shown, values: interpolateVars(source, baseEnv()) };
+  } catch (err) {
+    console.error(c.red(`${name}: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+// Annotate templated values with what they currently expand to.
+function resolvedNotes(res, notes) {
+  const out = { ...notes };
+  for (const k of Object.keys(res.vars)) {
+    const shown = stripAnsi(String(res.shown[k]));
+    if (isEncrypted(res.shown[k]) || isSource(res.shown[k]) || shown === res.values[k] || res.values[k] === SECRET_PLACEHOLDER) continue;
+    const arrow = `→ ${stripAnsi(summarizeValue(res.values[k]))}`;
+    out[k] = out[k] ? `${arrow} ${out[k]}` : arrow;
+  }
+  return out;
+}
+
+// How much of a preset or stack the shell has applied. `layers` maps each
+// effective key to the stacked preset it comes from. Past `deadline` (a
+// performance.now() value) the check gives up with status "unknown".
+function presetApplyStatus(cfg, name, { deadline = Infinity } = {}) {
+  const names = [].concat(name);
+  const res = resolveStack(cfg, names);
+  const unknown = { total: "?", applied: "?", status: "unknown", layers: res.layer };
+  if (performance.now() > deadline) return unknown;
+  const vars = interpolateVars(maskEncrypted(res.vars), baseEnv());
+  const keys = Object.keys(vars);
+  if (keys.length === 0) return { total: 0, applied: 0, status: "applied", layers: {} };
+  // Secret-derived values can't be compared directly; use the fingerprints
+  // `use` left in the shell state instead.
+  const state = readShellState();
+  const fp = state && names.every((n) => state.presets.includes(n)) && state.fp ? state.fp : {};
+  let applied = 0;
+  for (const k of keys) {
+    if (performance.now() > deadline) return unknown;
+    if (vars[k].includes(SECRET_PLACEHOLDER)) {
+      if (fp[k] && typeof process.env[k] !== "undefined" && fingerprint(process.env[k]) === fp[k]) applied++;
+    } else if (process.env[k] === String(vars[k])) applied++;
+  }
+  let status = "none";
+  if (applied === keys.length) status = "applied";
+  else if (applied > 0) status = "partial";
+  return { total: keys.length, applied, status, layers: res.layer };
+}
+
+function statusLabel(st) {
+  return st.status === "none" ? "not-applied" : st.status;
+}
+
+// What this shell has applied, the default for new shells, and which files
+// are in play.
+async function cmdStatus({ reveal = false } = {}) {
+  const cfg = readConfig();
+  const stack = activeStack().filter((n) => cfg.envs[n]);
+  const name = stack.join(",") || null;
+  const state = readShellState();
+  const projectFile = cfg.__layers.local ? cfg.__layers.local.__path : null;
+  // Report extends cycles and missing parents before checking the shell.
+  if (name) resolveStackOrExit(cfg, stack);
+  const st = name ? presetApplyStatus(cfg, stack) : null;
+  const defaults = defaultStack(cfg);
+  if (outputJson) {
+    printJson({
+      current: name,
+      stack,
+      default: defaults.join(",") || null,
+      status: st ? { state: statusLabel(st), applied: st.applied, total: st.total, layers: st.layers } : null,
+      shell: state ? { presets: state.presets, keys: state.keys, auto: state.auto || null } : null,
+      projectFile,
+      configFile: CONFIG_PATH,
+    });
+    return;
+  }
+  const shellLine = state
+    ? `${state.presets.join(", ")} ${c.dim(`[${state.keys.length} keys${state.auto ? ` · auto: ${state.auto}` : ""}]`)}`
+    : c.dim("none");
+  console.log(c.cyan(c.bold("Active in shell: ")) + shellLine);
+  console.log(c.cyan(c.bold("Default for new shells: ")) + (defaults.length > 0 ? defaults.join(", ") : c.dim("none")));
+  console.log(c.cyan(c.bold("Project file: ")) + (projectFile || c.dim("none")));
+  if (!name) {
+    console.log(c.cyan(c.bold("Current preset: ")) + c.yellow("-"));
+    console.log("");
+    console.log(c.dim("Nothing is active in this shell. Run `quickenv use` to choose or `quickenv list` to view."));
+    return;
+  }
+  const res = await expandPresetOrExit(cfg, stack, { reveal });
+  const tag = st.status === "applied" ? c.green("applied") : (st.status === "partial" ? c.yellow("partial") : c.yellow("not-applied"));
+  const label = stack.length > 1 ? "Current stack: " : "Current preset: ";
+  console.log(c.cyan(c.bold(label)) + stack.map((n) => c.green(n)).join(c.dim(" → ")) + " " + c.dim(`[${st.applied}/${st.total} · ${tag}]`));
+  console.log("");
+  const notes = stack.length > 1 ? layerNotes(res) : inheritanceNotes(name, res);
+  printAlignedVars(res.shown, resolvedNotes(res, notes));
+}
+
+// The prompt segment runs before every prompt, so it stays off the
+// interactive path: it reads the shell state and the config files, never
+// decrypts or runs dynamic sources, and abandons the drift check between
+// steps once the latency budget (milliseconds since process start) is
+// spent. It never prints errors; the prompt just shows less.
+const PROMPT_FORMAT = "{name}{mark}";
+const PROMPT_BUDGET_MS = 150;
+const PROMPT_MARKS = { applied: "", partial: "*", none: "!", unknown: "?" };
+const PRODUCTION_TAG = "production";
+
+function cmdPrompt({ format = PROMPT_FORMAT, shell, budget = PROMPT_BUDGET_MS } = {}) {
+  const state = readShellState();
+  if (!state || state.presets.length === 0) return;
+  let st = { status: "unknown", applied: "?", total: "?" };
+  let tags = [];
+  try {
+    const cfg = readConfig({ quiet: true, readOnly: true });
+    tags = [...new Set(state.presets.flatMap((n) => presetTags(cfg, n)))];
+    st = presetApplyStatus(cfg, state.presets, { deadline: budget });
+  } catch (_) {
+    // An unreadable config or a preset that no longer resolves leaves the
+    // status unknown.
+  }
+  const fields = {
+    name: state.presets.join(","),
+    mark: PROMPT_MARKS[st.status],
+    state: st.status === "unknown" ? "unknown" : statusLabel(st),
+    applied: st.applied,
+    total: st.total,
+    tags: tags.join(","),
+  };
+  let text = String(format).replace(/\{(\w+)\}/g, (m, k) => (k in fields ? String(fields[k]) : m));
+  if (shell === "zsh") text = text.replace(/%/g, "%%");
+  if (colorEnabled && text) {
+    // Non-printing markers keep bash and zsh from miscounting the prompt width.
+    const [open, close] = shell === "bash" ? ["\x01", "\x02"] : shell === "zsh" ? ["%{", "%}"] : ["", ""];
+    const color = tags.includes(PRODUCTION_TAG) ? "\x1b[31m" : st.status === "applied" ? "\x1b[32m" : "\x1b[33m";
+    text = `${open}${color}${close}${text}${open}\x1b[39m${close}`;
+  }
+  process.stdout.write(text);
+}
+
+const initHelpers = {
+  posix: (shell) => `# quickenv shell helper (${shell})
+quickenv() {
+  case "$1" in
+    use|off|deactivate)
+      local __out
+      __out="$(command quickenv "$@" --shell ${shell} </dev/tty)" || return $?
+      eval "$__out"
+      ;;
+    *)
+      command quickenv "$@"
+      ;;
+  esac
+}
+`,
+  fish: () => `# quickenv shell helper (fish)
+function quickenv
+    if contains -- "$argv[1]" use off deactivate
+        set -l __out (command quickenv $argv --shell fish </dev/tty)
+        or return $status
+        printf '%s\\n' $__out | source
+    else
+        command quickenv $argv
+    end
+end
+`,
+  powershell: () => `# quickenv shell helper (PowerShell)
+function quickenv {
+    $exe = Get-Command -Name quickenv -CommandType Application -ErrorAction Stop | Select-Object -First 1
+    if ($args.Count -gt 0 -and @('use', 'off', 'deactivate') -contains $args[0]) {
+        $out = & $exe @args --shell powershell
+        if ($LASTEXITCODE -ne 0) { return }
+        if ($out) { Invoke-Expression ($out -join [Environment]::NewLine) }
+    } else {
+        & $exe @args
+    }
+}
+`,
+  nu: () => `# quickenv shell helper (nushell)
+def --env --wrapped quickenv [...args] {
+    if ($args | length) > 0 and ($args.0 in [use off deactivate]) {
+        let plan = (^quickenv ...$args --shell nu | from json)
+        if ($plan.unset | length) > 0 { hide-env -i ...$plan.unset }
+        load-env $plan.set
+    } else {
+        ^quickenv ...$args
+    }
+}
+`,
+};
+
+// Directory-change hooks installed by `init --auto`. Each runs `quickenv
+// hook` when the working directory changes and applies its output.
+const autoHooks = {
+  bash: () => `
+# quickenv: activate directory-bound presets
+__quickenv_hook() {
+  [ "$PWD" = "\${__quickenv_pwd-}" ] && return
+  __quickenv_pwd="$PWD"
+  local __out
+  __out="$(command quickenv hook --shell bash)" && eval "$__out"
+}
+case ";\${PROMPT_COMMAND-};" in
+  *";__quickenv_hook;"*) ;;
+  *) PROMPT_COMMAND="__quickenv_hook\${PROMPT_COMMAND:+;$PROMPT_COMMAND}" ;;
+esac
+`,
+  zsh: () => `
+# quickenv: activate directory-bound presets
+__quickenv_hook() {
+  local __out
+  __out="$(command quickenv hook --shell zsh)" && eval "$__out"
+}
+autoload -Uz add-zsh-hook
+add-zsh-hook chpwd __quickenv_hook
+__quickenv_hook
+`,
+  fish: () => `
+# quickenv: activate directory-bound presets
+function __quickenv_hook --on-variable PWD
+    command quickenv hook --shell fish | source
+end
+__quickenv_hook
+`,
+  powershell: () => `
+# quickenv: activate directory-bound presets
+$global:__quickenvPwd = $null
+$global:__quickenvPrompt = $function:prompt
+function global:prompt {
+    if ($PWD.Path -ne $global:__quickenvPwd) {
+        $global:__quickenvPwd = $PWD.Path
+        $exe = Get-Command -Name quickenv -CommandType Application -ErrorAction SilentlyContinue | Select-Object -First 1
+        if ($exe) {
+            $out = & $exe hook --shell powershell
+            if ($LASTEXITCODE -eq 0 -and $out) { Invoke-Expression ($out -join [Environment]::NewLine) }
+        }
+    }
+    & $global:__quickenvPrompt
+}
+`,
+  nu: () => `
+# quickenv: activate directory-bound presets
+$env.config = ($env.config | upsert hooks.env_change.PWD {|config|
+    let existing = ($config | get -i hooks.env_change.PWD | default [])
+    $existing | append {|before, after|
+        let plan = (^quickenv hook --shell nu | from json)
+        if ($plan.unset | length) > 0 { hide-env -i ...$plan.unset }
+        load-env $plan.set
+    }
+})
+`,
+};
+
+// Prompt segments installed by `init --prompt`. The shell only calls
+// `quickenv prompt` while a preset is active.
+const promptHooks = {
+  bash: () => `
+# quickenv: show the active preset in the prompt
+__quickenv_prompt() {
+  local __rc=$? __seg
+  QUICKENV_PROMPT=
+  if [ -n "\${QUICKENV_STATE-}" ]; then
+    __seg="$(command quickenv prompt --shell bash)" && [ -n "$__seg" ] && QUICKENV_PROMPT="$__seg "
+  fi
+  return $__rc
+}
+case ";\${PROMPT_COMMAND-};" in
+  *";__quickenv_prompt;"*) ;;
+  *) PROMPT_COMMAND="\${PROMPT_COMMAND:+$PROMPT_COMMAND;}__quickenv_prompt" ;;
+esac
+case "$PS1" in
+  *'\${QUICKENV_PROMPT}'*) ;;
+  *) PS1='\${QUICKENV_PROMPT}'"$PS1" ;;
+esac
+`,
+  zsh: () => `
+# quickenv: show the active preset in the prompt
+__quickenv_prompt() {
+  local __seg
+  QUICKENV_PROMPT=
+  if [[ -n "\${QUICKENV_STATE-}" ]]; then
+    __seg="$(command quickenv prompt --shell zsh)" && [[ -n "$__seg" ]] && QUICKENV_PROMPT="$__seg "
+  fi
+}
+autoload -Uz add-zsh-hook
+add-zsh-hook precmd __quickenv_prompt
+setopt prompt_subst
+[[ "$PROMPT" == *'\${QUICKENV_PROMPT}'* ]] || PROMPT='\${QUICKENV_PROMPT}'"$PROMPT"
+`,
+  starship: () => `# quickenv prompt module for starship (append to ~/.config/starship.toml)
+[custom.quickenv]
+description = "Active quickenv preset"
+command = "quickenv prompt"
+when = 'test -n "$QUICKENV_STATE"'
+shell = ["sh"]
+format = "$output "
+`,
+};
+
+function cmdInit(requested, { auto = false, prompt = false } = {}) {
+  // Print helper function that evals the output of `quickenv use`/`off`.
+  // Usage: source <(quickenv init)   (see README for other shells)
+  if (requested === "starship") {
+    process.stdout.write(promptHooks.starship());
+    return;
+  }
+  const shell = resolveShell(requested);
+  const make = initHelpers[shell] || initHelpers.posix;
+  let out = make(shell);
+  if (auto) out += autoHooks[shell]();
+  if (prompt) {
+    out += promptHooks[shell]
+      ? promptHooks[shell]()
+      : `\n# quickenv: no prompt snippet for ${shell}; call \`quickenv prompt\` from your prompt function\n`;
+  }
+  process.stdout.write(out);
+}
+
+function presetSummary(cfg, name) {
+  const src = presetSource(cfg, name) || {};
+  return {
+    name,
+    keys: Object.keys(cfg.envs[name] || {}).length,
+    extends: presetParents(cfg, name),
+    source: src.kind || "global",
+    file: src.file || null,
+    shadows: !!src.shadows,
+    tags: presetTags(cfg, name),
+    current: activeStack().includes(name),
+    default: defaultStack(cfg).includes(name),
+  };
+}
+
+async function cmdList({ reveal = false } = {}) {
+  const cfg = readConfig();
+  const names = Object.keys(cfg.envs).sort();
+  if (outputJson) {
+    printJson({ current: activeStack().join(",") || null, stack: activeStack(), default: defaultStack(cfg).join(",") || null, presets: names.map((n) => presetSummary(cfg, n)) });
+    return;
+  }
+  if (names.length === 0) {
+    console.log(c.dim("(no presets)"));
+    return;
+  }
+  // Interactive selection when talking to a terminal; otherwise, just print names
+  const currentIdx = Math.max(0, names.indexOf(topPreset(cfg)));
+  const picked = process.stdout.isTTY
+    ? await selectMenuInteractively(names, { title: "Select a preset:", initialIndex: currentIdx })
+    : null;
+  if (!picked) {
+    // Non-interactive or cancelled: print the list of names
+    const title = c.cyan(c.bold("Presets"));
+    console.log(`${title} ${c.dim(`(${names.length})`)}`);
+    for (const n of names) {
+      const isCurrent = activeStack().includes(n);
+      const bullet = isCurrent ? c.green("★") : c.gray("•");
+      const label = isCurrent ? c.green(c.bold(n)) : n;
+      const count = Object.keys(cfg.envs[n] || {}).length;
+      const parents = presetParents(cfg, n);
+      const meta = [];
+      meta.push(`${count}`);
+      if (parents.length > 0) meta.push(`extends ${parents.join(", ")}`);
+      const src = presetSource(cfg, n);
+      if (src && src.kind === "local") meta.push(src.shadows ? "local · shadows global" : "local");
+      for (const t of presetTags(cfg, n)) meta.push(`#${t}`);
+      if (isCurrent) meta.push("current");
+      if (defaultStack(cfg).includes(n)) meta.push("default");
+      console.log(` ${bullet} ${label} ${c.dim(`[${meta.join(" · ")}]`)}`);
+    }
+    return;
+  }
+  // Show variables of the selected preset
+  const res = await expandPresetOrExit(cfg, picked, { reveal });
+  console.log(c.cyan(c.bold("Preset: ")) + picked + " " + c.dim(`[${Object.keys(res.vars).length}]`));
+  console.log("");
+  printAlignedVars(res.shown, resolvedNotes(res, inheritanceNotes(picked, res)));
+}
+
+// Schema problems and unused defaults for each schema the presets follow.
+function schemaReports(cfg, names, res) {
+  // Sources that were not fetched have no value to check yet.
+  const checked = { ...res.values };
+  for (const k of Object.keys(res.shown)) if (isSource(res.shown[k])) checked[k] = SECRET_PLACEHOLDER;
+  const reports = [];
+  for (const n of names) {
+    const schema = presetSchemaOrExit(cfg, n);
+    if (!schema || reports.some((r) => r.name === schema.name)) continue;
+    const defaults = {};
+    for (const [k, rule] of Object.entries(schema.rules)) {
+      if (typeof res.values[k] === "undefined" && typeof rule.default !== "undefined") defaults[k] = String(rule.default);
+    }
+    reports.push({ name: schema.name, defaults, problems: schemaProblems(schema, checked) });
+  }
+  return reports;
+}
+
+function printSchemaReport({ name, defaults, problems }) {
+  const missing = problems.filter((p) => p.missing).length;
+  const summary = missing > 0 ? ` · missing ${missing} required key${missing === 1 ? "" : "s"}` : problems.length === 0 ? " · ok" : "";
+  console.log("");
+  console.log(c.cyan(c.bold("Schema: ")) + name + c.dim(summary));
+  for (const [k, v] of Object.entries(defaults).sort()) console.log(`  ${c.dim("·")} ${k} ${c.dim("=")} ${summarizeValue(v)} ${c.dim("(schema default)")}`);
+  for (const p of problems) console.log(`  ${c.red("✗")} ${p.key} ${p.message}`);
+}
+
+// Show one preset, or a stack of them (the current stack when none are
+// named) with the layer each key comes from.
+async function cmdShow(names, { resolved = false, reveal = false, fetch = false } = {}) {
+  const cfg = readConfig();
+  if (names.length === 0) names = activeStack();
+  if (names.length === 0) {
+    console.error(c.red("Nothing is active in this shell. Name a preset: quickenv show <name>"));
+    process.exit(1);
+  }
+  const missingName = names.find((n) => !cfg.envs[n]);
+  if (missingName) {
+    console.error(c.red(`Preset not found: ${missingName}`));
+    console.error(c.dim("Use `quickenv list` to view existing presets."));
+    process.exit(1);
+  }
+  const stacked = names.length > 1;
+  const name = names.join(",");
+  const current = activeStack();
+  const isCurrent = stacked ? sameList(current, names) : current.includes(name);
+  const res = await expandPresetOrExit(cfg, names, { reveal, fetch });
+  const st = presetApplyStatus(cfg, names);
+  const reports = schemaReports(cfg, names, res);
+  if (outputJson) {
+    const vars = {};
+    for (const k of Object.keys(res.vars).sort()) {
+      const def = isSource(res.shown[k]) ? res.shown[k] : null;
+      const shown = isEncrypted(res.shown[k]) ? SECRET_PLACEHOLDER : def ? sourceLabel(def) : stripAnsi(res.shown[k]);
+      vars[k] = { value: shown, resolved: res.values[k], from: res.origin[k], masked: !reveal && shown === SECRET_PLACEHOLDER };
+      if (stacked) vars[k].layer = res.layer[k];
+      if (def) vars[k].source = def;
+    }
+    const status = { state: statusLabel(st), applied: st.applied, total: st.total };
+    if (stacked) printJson({ stack: names, current: isCurrent, status, vars, schemas: reports });
+    else printJson({ ...presetSummary(cfg, name), status, vars, schema: reports[0] || null });
+    return;
+  }
+  const tag = st.status === "applied" ? "applied" : (st.status === "partial" ? "partial" : "not-applied");
+  const notes = stacked ? layerNotes(res) : inheritanceNotes(name, res);
+  if (stacked) {
+    const countStr = c.dim(`[${Object.keys(res.vars).length}${isCurrent ? " · current" : ""} · ${tag}]`);
+    console.log(c.cyan(c.bold("Stack: ")) + names.map((n) => (isCurrent ? c.green(n) : n)).join(c.dim(" → ")) + " " + countStr);
+  } else {
+    const parents = presetParents(cfg, name);
+    const ext = parents.length > 0 ? ` · extends ${parents.join(", ")}` : "";
+    const src = presetSource(cfg, name);
+    const where = src && src.kind === "local" ? ` · ${presetSourceLabel(cfg, name)}${src.shadows ? " (shadows global)" : ""}` : "";
+    const tags = presetTags(cfg, name).map((t) => ` · #${t}`).join("");
+    const countStr = c.dim(`[${Object.keys(res.vars).length}${isCurrent ? " · current" : ""}${ext}${where}${tags} · ${tag}]`);
+    console.log(c.cyan(c.bold("Preset: ")) + (isCurrent ? c.green(name) : name) + " " + countStr);
+  }
+  console.log("");
+  if (resolved) printAlignedVars(res.values, notes);
+  else printAlignedVars(res.shown, resolvedNotes(res, notes));
+  for (const report of reports) printSchemaReport(report);
+}
+
+function cmdExtends(name, parents, { none = false, scope } = {}) {
+  const cfg = readConfig({ scope });
+  if (!name || !cfg.envs[name]) {
+    console.error(c.red(`Preset not found: ${name || "(missing)"}`));
+    console.error(c.dim("Use `quickenv list` to view existing presets."));
+    process.exit(1);
+  }
+  if (!none && parents.length === 0) {
+    // Print the current parents
+    const cur = presetParents(cfg, name);
+    if (cur.length === 0) console.log(c.dim(`${name} does not extend any preset.`));
+    else console.log(`${name} extends ${cur.join(", ")}`);
+    return;
+  }
+  const meta = cfg.meta[name] || {};
+  if (none) {
+    delete meta.extends;
+  } else {
+    meta.extends = parents;
+  }
+  if (Object.keys(meta).length > 0) cfg.meta[name] = meta;
+  else delete cfg.meta[name];
+  // Validate before saving so a typo or cycle never lands in the config.
+  try {
+    resolvePreset(cfg, name);
+  } catch (err) {
+    console.error(c.red(err.message));
+    process.exit(1);
+  }
+  writeConfig(cfg);
+  if (none) console.log(`Cleared parents of ${name}`);
+  else console.log(`Saved: ${name} extends ${parents.join(", ")}`);
+}
+
+// Apply one preset or a stack of them (later layers win) to this shell only.
+// --push adds layers on top of the active stack and --pop removes the top
+// one; --save-default also makes the result the default for new shells.
+async function cmdUse(args = [], { shell: requested, push = false, pop = false, saveDefault = false } = {}) {
+  const shell = resolveShell(requested);
+  const cfg = readConfig();
+  let names = args.flatMap(splitPresetList);
+  if (args.length > 0 && names.length === 0) {
+    // e.g. `quickenv use "$(quickenv default)"` with no default set
+    console.error(c.red("No preset name given."));
+    process.exit(1);
+  }
+  const state = readShellState();
+  const active = activeStack();
+  if (pop) {
+    if (names.length > 0 || push) {
+      console.error("Usage: quickenv use --pop");
+      process.exit(1);
+    }
+    if (active.length === 0) {
+      console.error(c.red("No preset stack to pop from."));
+      process.exit(1);
+    }
+    names = active.slice(0, -1);
+    console.error(c.dim(`Removed layer ${active[active.length - 1]}`));
+    if (names.length === 0) {
+      process.stdout.write(renderShellPlan(planShellTransition(state, null, []), shell));
+      return;
+    }
+  } else if (names.length === 0) {
+    const all = Object.keys(cfg.envs).sort();
+    if (all.length === 0) {
+      console.error(c.red("No presets available. Run `quickenv set` to create variables first."));
+      process.exit(1);
+    }
+    const picked = await selectPresetsInteractively(all, topPreset(cfg));
+    if (!picked) {
+      console.error(c.yellow("Cancelled."));
+      process.exit(1);
+    }
+    names = picked;
+  }
+  if (push) names = [...active.filter((n) => !names.includes(n)), ...names];
+  for (const n of names) ensurePresetExists(cfg, n);
+  const vars = await expandStack(cfg, names, baseEnv());
+  validateExportVars(cfg, names, vars);
+  validateSchemas(cfg, names, vars);
+  for (const n of names) {
+    const where = presetSourceLabel(cfg, n);
+    if (where) console.error(c.dim(`Using ${n} (${where})`));
+  }
+  if (names.length > 1) console.error(c.dim(`Stack: ${names.join(" → ")}`));
+  if (saveDefault) {
+    setDefaultStack(cfg, names);
+    writeConfig(cfg);
+    console.error(c.dim(`Saved as the default for new shells: ${names.join(",")}`));
+  }
+  // Output unset/export lines relative to what this shell already has from
+  // a previous `quickenv use`.
+  const plan = planShellTransition(state, vars, names, { secretKeys: secretDependentKeys(cfg, names) });
+  process.stdout.write(renderShellPlan(plan, shell));
+}
+
+function ensurePresetExists(cfg, name) {
+  if (!cfg.envs[name]) {
+    console.error(`Preset not found: ${name}`);
+    console.error("Use `quickenv list` to view existing presets.");
+    process.exit(1);
+  }
+}
+
+// Checks shared by everything that hands variables to a shell or a process:
+// each key must satisfy the policy of the preset it comes from.
+function validateExportVars(cfg, names, vars) {
+  const origin = {};
+  for (const n of names) Object.assign(origin, resolvePreset(cfg, n).origin);
+  for (const k of Object.keys(vars)) {
+    const problem = keyProblem(keyPolicyOrExit(cfg, origin[k]), k);
+    if (problem) {
+      console.error(c.red(`Invalid key ${origin[k]}.${k}: ${problem}`));
+      console.error(c.dim("Run `quickenv doctor` to list every key that breaks the policy."));
+      process.exit(1);
+    }
+  }
+}
+
+// "dev,local-overrides" -> ["dev", "local-overrides"]
+function splitPresetList(arg) {
+  return String(arg || "").split(",").map((n) => n.trim()).filter(Boolean);
+}
+
+// Dynamic values: instead of a string a key may hold { source: "cmd",
+// command }, { source: "file", path } or { source: "env", name }, resolved
+// by use/run/export. `ttl` caches the result in CACHE_PATH; commands are
+// killed after `timeout` (default SOURCE_TIMEOUT).
+const SOURCE_TYPES = ["cmd", "file", "env"];
+const SOURCE_TIMEOUT = "10s";
+const CACHE_PATH = path.join(CONFIG_DIR, "cache.json");
+
+function isSource(v) {
+  return !!v && typeof v === "object" && SOURCE_TYPES.includes(v.source);
+}
+
+function sourceLabel(def) {
+  const what = def.source === "cmd" ? def.command : def.source === "file" ? def.path : def.name;
+  return `⟨${def.source}: ${what}${def.ttl ? ` · ttl ${def.ttl}` : ""}⟩`;
+}
+
+function labelSources(vars) {
+  const out = {};
+  for (const [k, v] of Object.entries(vars)) out[k] = isSource(v) ? sourceLabel(v) : v;
+  return out;
+}
+
+function readSourceCache() {
+  try {
+    const cache = JSON.parse(fs.readFileSync(CACHE_PATH, "utf8"));
+    return cache && typeof cache === "object" ? cache : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// Cached values are often credentials: owner-only, written atomically, and
+// expired entries are dropped on every write.
+function writeSourceCache(cache) {
+  ensureDir();
+  const now = Date.now();
+  for (const [id, entry] of Object.entries(cache)) {
+    if (!entry || entry.expires <= now) delete cache[id];
+  }
+  const tmp = `${CACHE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, CACHE_PATH);
+}
+
+function dropTrailingNewline(text) {
+  return text.replace(/\r?\n$/, "");
+}
+
+function fetchSource(def) {
+  if (def.source === "env") {
+    const env = baseEnv();
+    if (typeof env[def.name] === "undefined") throw new Error(`${def.name} is not set`);
+    return env[def.name];
+  }
+  if (def.source === "file") {
+    const file = def.path.replace(/^~(?=$|[\\/])/, os.homedir());
+    try {
+      return dropTrailingNewline(fs.readFileSync(path.resolve(file), "utf8"));
+    } catch (err) {
+      throw new Error(`cannot read ${def.path} (${err.code || err.message})`);
+    }
+  }
+  const timeout = Math.min(parseDuration(def.timeout || SOURCE_TIMEOUT), MAX_TIMER_MS);
+  // stdin and stderr stay on the terminal for login prompts and errors.
+  const res = spawnSync(def.command, {
+    shell: true, encoding: "utf8", timeout, killSignal: "SIGKILL", stdio: ["inherit", "pipe", "inherit"],
+  });
+  if (res.error && res.error.code === "ETIMEDOUT") throw new Error(`\`${def.command}\` timed out after ${formatDuration(timeout)}`);
+  if (res.error) throw new Error(`\`${def.command}\` could not be started (${res.error.message})`);
+  if (res.status !== 0) throw new Error(`\`${def.command}\` exited with ${res.signal || `status ${res.status}`}`);
+  return dropTrailingNewline(res.stdout);
+}
+
+// Replace source definitions in `vars` with their values; `origin` maps keys
+// to the preset defining them. Commands from project files are never run:
+// those files come from repositories.
+function resolveSources(cfg, vars, origin) {
+  const keys = Object.keys(vars).filter((k) => isSource(vars[k]));
+  if (keys.length === 0) return vars;
+  const out = { ...vars };
+  const cache = readSourceCache();
+  let dirty = false;
+  for (const k of keys) {
+    const def = vars[k];
+    const label = `${origin[k]}.${k}`;
+    const src = presetSource(cfg, origin[k]);
+    if (def.source === "cmd" && src && src.kind === "local") {
+      console.error(c.red(`${label}: command sources are only run from the global config, not ${src.file}.`));
+      process.exit(1);
+    }
+    const id = `${label}:${hashText(JSON.stringify(def))}`;
+    const hit = cache[id];
+    if (hit && hit.expires > Date.now()) {
+      out[k] = hit.value;
+      continue;
+    }
+    try {
+      out[k] = fetchSource(def);
+      if (def.ttl) {
+        cache[id] = { value: out[k], expires: Date.now() + parseDuration(def.ttl) };
+        dirty = true;
+      }
+    } catch (err) {
+      console.error(c.red(`${label}: ${def.source} source failed: ${err.message}`));
+      console.error(c.dim("Nothing was applied."));
+      process.exit(1);
+    }
+  }
+  if (dirty) writeSourceCache(cache);
+  return out;
+}
+
+// Which preset each key of a stack comes from.
+function stackOrigin(cfg, names) {
+  const origin = {};
+  for (const n of names) Object.assign(origin, resolvePresetOrExit(cfg, n).origin);
+  return origin;
+}
+
+// Merge several presets (later ones win), add schema defaults, decrypt
+// secrets, fetch dynamic sources (or, with `sources: false`, show their
+// definitions) and expand references against `env`.
+async function expandStack(cfg, names, env, { sources = true } = {}) {
+  const vars = {};
+  for (const n of names) Object.assign(vars, resolvePresetOrExit(cfg, n).vars);
+  applySchemaDefaults(cfg, names, vars);
+  let plain = await decryptVars(cfg, vars);
+  if (sources) plain = resolveSources(cfg, plain, stackOrigin(cfg, names));
+  else plain = labelSources(plain);
+  try {
+    return interpolateVars(plain, env);
+  } catch (err) {
+    console.error(c.red(`${names.join(",")}: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+// Schemas live under `schemas` in the global config or a project file, as
+// { name: { KEY: { type, required, values, pattern, default, description } } }.
+// A preset names its schema in meta.schema; presets that extend it inherit it.
+const SCHEMA_TYPES = ["string", "int", "bool", "url", "enum"];
+const SCHEMA_RULE_FIELDS = ["type", "required", "values", "pattern", "default", "description"];
+
+function findSchema(cfg, schemaName) {
+  const layers = cfg.__layers;
+  for (const layer of layers ? [layers.local, layers.global] : [cfg, globalLayer(cfg)]) {
+    if (layer && layer.schemas && layer.schemas[schemaName]) return layer.schemas[schemaName];
+  }
+  return null;
+}
+
+function schemaNameFor(cfg, name, seen = []) {
+  if (seen.includes(name)) return null;
+  const meta = (cfg.meta && cfg.meta[name]) || {};
+  if (meta.schema) return meta.schema;
+  for (const parent of presetParents(cfg, name)) {
+    const found = schemaNameFor(cfg, parent, [...seen, name]);
+    if (found) return found;
+  }
+  return null;
+}
+
+// { name, rules } for the schema a preset follows, or null.
+function presetSchema(cfg, name) {
+  const schemaName = schemaNameFor(cfg, name);
+  if (!schemaName) return null;
+  const rules = findSchema(cfg, schemaName);
+  if (!rules) throw new Error(`${name} uses schema ${schemaName}, which does not exist`);
+  return { name: schemaName, rules };
+}
+
+function presetSchemaOrExit(cfg, name) {
+  try {
+    return presetSchema(cfg, name);
+  } catch (err) {
+    console.error(c.red(err.message));
+    console.error(c.dim("Define it with `quickenv schema set` or detach it with `quickenv schema detach`."));
+    process.exit(1);
+  }
+}
+
+// A rule's pattern has to match the whole value, like the key policy regex.
+function schemaPatternRegex(pattern) {
+  return new RegExp(`^(?:${pattern})$`);
+}
+
+// Why `value` breaks `rule`, or null. Masked values are not checked.
+function schemaValueProblem(rule, value) {
+  const v = String(value);
+  if (v.includes(SECRET_PLACEHOLDER)) return null;
+  switch (rule.type || "string") {
+    case "int":
+      if (!/^[-+]?\d+$/.test(v)) return "expected an integer";
+      break;
+    case "bool":
+      if (!/^(true|false|yes|no|on|off|1|0)$/i.test(v)) return "expected a boolean (true/false, yes/no, on/off, 1/0)";
+      break;
+    case "url":
+      try {
+        new URL(v);
+      } catch (_) {
+        return "expected a URL";
+      }
+      break;
+    case "enum":
+      if (!(rule.values || []).includes(v)) return `expected one of ${(rule.values || []).join(", ")}`;
+      break;
+  }
+  if (rule.pattern && !schemaPatternRegex(rule.pattern).test(v)) return `does not match /${rule.pattern}/`;
+  return null;
+}
+
+// [{ key, missing?, message }] for a set of values checked against a schema.
+function schemaProblems(schema, vars) {
+  const problems = [];
+  for (const key of Object.keys(schema.rules).sort()) {
+    const rule = schema.rules[key];
+    if (typeof vars[key] === "undefined" || vars[key] === "") {
+      if (rule.required && typeof rule.default === "undefined") {
+        problems.push({ key, missing: true, message: "is required" + (rule.description ? ` — ${rule.description}` : "") });
+      }
+      continue;
+    }
+    const problem = schemaValueProblem(rule, vars[key]);
+    if (problem) problems.push({ key, message: problem });
+  }
+  return problems;
+}
+
+// Fill in schema defaults for keys none of `names` sets.
+function applySchemaDefaults(cfg, names, vars) {
+  for (const n of names) {
+    const schema = presetSchemaOrExit(cfg, n);
+    if (!schema) continue;
+    for (const [key, rule] of Object.entries(schema.rules)) {
+      if (typeof vars[key] === "undefined" && typeof rule.default !== "undefined") vars[key] = String(rule.default);
+    }
+  }
+}
+
+function validateSchemas(cfg, names, vars) {
+  let failed = false;
+  for (const n of names) {
+    const schema = presetSchemaOrExit(cfg, n);
+    if (!schema) continue;
+    for (const p of schemaProblems(schema, vars)) {
+      console.error(c.red(`${n}.${p.key} ${p.message} (schema ${schema.name})`));
+      failed = true;
+    }
+  }
+  if (failed) {
+    console.error(c.dim("Fix the values with `quickenv set`; `quickenv show <preset>` lists what is missing."));
+    process.exit(1);
+  }
+}
+
+// Why a preset's schema rejects storing `value` under `key`, or null. Values
+// with `$` templates are checked once expanded, by `use` and `run`.
+function schemaSetProblem(cfg, name, key, value) {
+  const schema = presetSchemaOrExit(cfg, name);
+  const rule = schema && schema.rules[key];
+  if (!rule) return null;
+  const v = String(value);
+  let problem = null;
+  if (v === "") problem = rule.required && typeof rule.default === "undefined" ? "is required" : null;
+  else if (!v.includes("$")) problem = schemaValueProblem(rule, v);
+  return problem && `${problem} (schema ${schema.name})`;
+}
+
+// Variables passed through by `run --clean` in addition to --keep.
+const CLEAN_ENV_KEEP = ["PATH", "HOME", "USER", "LOGNAME", "SHELL", "TERM", "LANG", "TMPDIR", "SystemRoot", "ComSpec", "PATHEXT", "TEMP", "TMP"];
+const FORWARDED_SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP", "SIGQUIT", "SIGUSR1", "SIGUSR2"];
+
+async function cmdRun(presetArg, command, { clean = false, keep = [] } = {}) {
+  const names = splitPresetList(presetArg);
+  if (names.length === 0 || command.length === 0) {
+    console.error("Usage: quickenv run <preset>[,<preset>...] [--clean] [--keep A,B] -- <command> [args...]");
+    process.exit(1);
+  }
+  const cfg = readConfig();
+  for (const n of names) ensurePresetExists(cfg, n);
+
+  let env;
+  if (clean) {
+    env = {};
+    for (const k of [...CLEAN_ENV_KEEP, ...keep]) {
+      if (typeof process.env[k] !== "undefined") env[k] = process.env[k];
+    }
+  } else {
+    env = { ...process.env };
+  }
+  const vars = await expandStack(cfg, names, env);
+  validateExportVars(cfg, names, vars);
+  validateSchemas(cfg, names, vars);
+  Object.assign(env, vars);
+
+  const child = spawn(command[0], command.slice(1), { stdio: "inherit", env });
+  const forward = {};
+  for (const sig of FORWARDED_SIGNALS) {
+    forward[sig] = () => {
+      try { child.kill(sig); } catch (_) { /* already gone */ }
+    };
+    try { process.on(sig, forward[sig]); } catch (_) { /* not supported on this platform */ }
+  }
+  function detach() {
+    for (const sig of FORWARDED_SIGNALS) process.removeListener(sig, forward[sig]);
+  }
+  child.on("error", (err) => {
+    detach();
+    if (err.code === "ENOENT") console.error(c.red(`Command not found: ${command[0]}`));
+    else console.error(c.red(`Failed to start ${command[0]}: ${err.message}`));
+    process.exit(127);
+  });
+  child.on("exit", (code, signal) => {
+    detach();
+    if (signal) {
+      // Die the same way the child did so callers see the signal.
+      process.kill(process.pid, signal);
+      return;
+    }
+    process.exit(code === null ? 1 : code);
+  });
+}
+
+// Marker file naming the preset(s) for a directory tree. It is only honoured
+// after `quickenv allow`, which records a hash of its contents together with
+// the project-file definitions of the presets it names.
+const MARKER_FILE = ".quickenv";
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// The same repository can change what a marker activates through its
+// .quickenv.json (adding keys, or shadowing a global preset), so the hash
+// also covers the definitions, parents included, that the project file
+// in use from `start` (or from the marker's directory) gives those presets.
+function readMarkerFile(file, start = process.cwd()) {
+  const text = fs.readFileSync(file, "utf8");
+  const line = text.split(/\r?\n/).map((l) => l.trim()).find((l) => l && !l.startsWith("#"));
+  const presets = splitPresetList(line);
+  const dir = path.dirname(file);
+  const rel = path.relative(dir, path.resolve(start));
+  const project = findProjectFile(rel.startsWith("..") || path.isAbsolute(rel) ? dir : start);
+  const defs = {};
+  if (project) {
+    const local = loadConfigFile(project, defaultProjectConfig);
+    const pending = presets.map((n) => (n.startsWith(LOCAL_PREFIX) ? n.slice(LOCAL_PREFIX.length) : n));
+    while (pending.length > 0) {
+      const n = pending.shift();
+      if (Object.prototype.hasOwnProperty.call(defs, n) || !local.envs[n]) continue;
+      defs[n] = { envs: local.envs[n], meta: local.meta[n] || null };
+      pending.push(...presetParents(local, n));
+    }
+  }
+  return { presets, hash: hashText(JSON.stringify({ marker: text, project, presets: defs })) };
+}
+
+function findMarkerFile(start = process.cwd()) {
+  let dir = path.resolve(start);
+  while (true) {
+    const file = path.join(dir, MARKER_FILE);
+    try {
+      if (fs.statSync(file).isFile()) return file;
+    } catch (_) { /* keep walking */ }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Nearest directory binding at or above `start`: an entry in cfg.bindings or
+// a trusted marker file. Untrusted marker files are skipped and returned in
+// `untrusted` so the caller can point at `quickenv allow`.
+function findBinding(cfg, start = process.cwd()) {
+  const bindings = cfg.bindings || {};
+  const trusted = cfg.trusted || {};
+  const untrusted = [];
+  let dir = path.resolve(start);
+  while (true) {
+    if (bindings[dir]) {
+      return { dir, presets: splitPresetList(bindings[dir]), source: "config", untrusted };
+    }
+    const file = path.join(dir, MARKER_FILE);
+    let marker = null;
+    try {
+      if (fs.statSync(file).isFile()) marker = readMarkerFile(file, start);
+    } catch (_) { /* no marker here */ }
+    if (marker && marker.presets.length > 0) {
+      if (trusted[file] === marker.hash) return { dir, presets: marker.presets, source: "file", file, untrusted };
+      untrusted.push({ file, presets: marker.presets });
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return { dir: null, presets: [], untrusted };
+    dir = parent;
+  }
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+// Run by the shell helper on directory change: activate the preset bound to
+// the new directory, or undo an automatic activation when leaving its tree.
+// A preset chosen by hand with `use` is never switched off by this.
+async function cmdHook({ shell: requested } = {}) {
+  const shell = resolveShell(requested);
+  const cfg = readConfig();
+  const state = readShellState();
+  const autoDir = state && state.auto;
+  const b = findBinding(cfg);
+  for (const u of b.untrusted) {
+    console.error(c.yellow(`quickenv: ${u.file} wants preset ${u.presets.join(",")}; run \`quickenv allow\` to trust it.`));
+  }
+  const noop = { set: [], unset: [], state: undefined };
+  if (b.dir) {
+    // A preset picked by hand with `use` wins over bindings until `off`.
+    const manual = state && !autoDir && state.presets.length > 0;
+    if (manual || (autoDir === b.dir && sameList(state.presets, b.presets))) {
+      process.stdout.write(renderShellPlan(noop, shell));
+      return;
+    }
+    const missing = b.presets.filter((n) => !cfg.envs[n]);
+    if (missing.length > 0) {
+      console.error(c.yellow(`quickenv: ${b.dir} is bound to missing preset ${missing.join(", ")}`));
+      process.stdout.write(renderShellPlan(noop, shell));
+      return;
+    }
+    const vars = await expandStack(cfg, b.presets, baseEnv());
+    validateExportVars(cfg, b.presets, vars);
+    const plan = planShellTransition(state, vars, b.presets, { secretKeys: secretDependentKeys(cfg, b.presets) });
+    plan.state.auto = b.dir;
+    console.error(c.dim(`quickenv: using ${b.presets.join(",")} for ${b.dir}`));
+    process.stdout.write(renderShellPlan(plan, shell));
+    return;
+  }
+  if (autoDir) {
+    console.error(c.dim(`quickenv: left ${autoDir}, restoring environment`));
+    process.stdout.write(renderShellPlan(planShellTransition(state, null, []), shell));
+    return;
+  }
+  process.stdout.write(renderShellPlan(noop, shell));
+}
+
+function cmdBind(presetArg, dir) {
+  const names = splitPresetList(presetArg);
+  if (names.length === 0) {
+    console.error("Usage: quickenv bind <preset>[,<preset>...] [dir]");
+    process.exit(1);
+  }
+  const cfg = readConfig();
+  for (const n of names) ensurePresetExists(cfg, n);
+  const target = path.resolve(dir || process.cwd());
+  const global = readConfig({ scope: "global" });
+  if (!global.bindings || typeof global.bindings !== "object") global.bindings = {};
+  global.bindings[target] = names.join(",");
+  writeConfig(global);
+  console.log(`Bound ${target} → ${names.join(",")}`);
+}
+
+function cmdUnbind(dir) {
+  const target = path.resolve(dir || process.cwd());
+  const cfg = readConfig({ scope: "global" });
+  if (!cfg.bindings || !cfg.bindings[target]) {
+    console.error(`No binding for ${target}`);
+    process.exit(1);
+  }
+  delete cfg.bindings[target];
+  writeConfig(cfg);
+  console.log(`Unbound ${target}`);
+}
+
+function cmdBindings() {
+  const cfg = readConfig({ scope: "global" });
+  const bindings = cfg.bindings || {};
+  const trusted = cfg.trusted || {};
+  const dirs = Object.keys(bindings).sort();
+  const files = Object.keys(trusted).sort();
+  if (dirs.length === 0 && files.length === 0) {
+    console.log(c.dim("(no directory bindings)"));
+    return;
+  }
+  for (const d of dirs) console.log(` ${c.gray("•")} ${d} ${c.dim("→")} ${bindings[d]}`);
+  for (const f of files) {
+    let state = c.dim("(allowed)");
+    try {
+      const m = readMarkerFile(f);
+      if (m.hash !== trusted[f]) state = c.yellow("(changed since allowed)");
+      else state = `${c.dim("→")} ${m.presets.join(",")} ${c.dim("(allowed)")}`;
+    } catch (_) {
+      state = c.yellow("(missing)");
+    }
+    console.log(` ${c.gray("•")} ${f} ${state}`);
+  }
+}
+
+// Resolve `allow`/`deny` arguments: a marker file, a directory holding one,
+// or the nearest marker above the cwd.
+function markerTarget(arg) {
+  if (!arg) return findMarkerFile();
+  const p = path.resolve(arg);
+  try {
+    if (fs.statSync(p).isDirectory()) return path.join(p, MARKER_FILE);
+  } catch (_) { /* fall through */ }
+  return p;
+}
+
+function cmdAllow(arg) {
+  const file = markerTarget(arg);
+  if (!file || !fs.existsSync(file)) {
+    console.error(`No ${MARKER_FILE} file found${arg ? ` at ${arg}` : " in this directory tree"}.`);
+    process.exit(1);
+  }
+  const marker = readMarkerFile(file);
+  if (marker.presets.length === 0) {
+    console.error(`${file} does not name a preset.`);
+    process.exit(1);
+  }
+  const cfg = readConfig({ scope: "global" });
+  if (!cfg.trusted || typeof cfg.trusted !== "object") cfg.trusted = {};
+  cfg.trusted[file] = marker.hash;
+  writeConfig(cfg);
+  console.log(`Allowed ${file} → ${marker.presets.join(",")}`);
+  console.log(c.dim("Re-enter the directory (cd .) to apply it."));
+}
+
+function cmdDeny(arg) {
+  const file = markerTarget(arg);
+  const cfg = readConfig({ scope: "global" });
+  if (!file || !cfg.trusted || !cfg.trusted[file]) {
+    console.error(`${file || MARKER_FILE} is not allowed.`);
+    process.exit(1);
+  }
+  delete cfg.trusted[file];
+  writeConfig(cfg);
+  console.log(`Denied ${file}`);
+}
+
+function cmdOff({ shell: requested } = {}) {
+  const shell = resolveShell(requested);
+  const state = readShellState();
+  if (!state) {
+    console.error(c.dim("No quickenv preset is active in this shell."));
+    return;
+  }
+  const plan = planShellTransition(state, null, []);
+  process.stdout.write(renderShellPlan(plan, shell));
+}
+
+function writeStderr(str) {
+  try { process.stderr.write(str); } catch (_) { /* ignore */ }
+}
+
+function clearLines(count) {
+  // Move cursor up and clear lines on stderr
+  for (let i = 0; i < count; i++) {
+    writeStderr("\x1b[1A\x1b[2K");
+  }
+}
+
+// Case-insensitive fuzzy match of `query` against `text`: a substring match
+// wins, otherwise the query letters must appear in order. Returns the matched
+// positions and a score (lower is better), or null.
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  const sub = t.indexOf(q);
+  if (sub !== -1) return { positions: [...q].map((_, i) => sub + i), score: sub };
+  const positions = [];
+  let from = 0;
+  for (const ch of q) {
+    const i = t.indexOf(ch, from);
+    if (i === -1) return null;
+    positions.push(i);
+    from = i + 1;
+  }
+  // Spread-out matches rank below tight ones, and below any substring match.
+  return { positions, score: t.length + (positions[positions.length - 1] - positions[0]) * 2 + positions[0] };
+}
+
+function highlightMatch(text, positions, selected) {
+  const hit = new Set(positions);
+  let out = "";
+  let run = "";
+  const flush = () => {
+    if (run) out += selected ? c.green(c.bold(run)) : run;
+    run = "";
+  };
+  [...text].forEach((ch, i) => {
+    if (hit.has(i)) {
+      flush();
+      out += c.yellow(c.bold(ch));
+    } else {
+      run += ch;
+    }
+  });
+  flush();
+  return out;
+}
+
+// Keep rendered lines shorter than the terminal so they never wrap (wrapped
+// lines would throw off clearLines).
+function fitLine(line, cols) {
+  const plain = stripAnsi(line);
+  if (plain.length < cols) return line;
+  return plain.slice(0, Math.max(cols - 2, 1)) + "…";
+}
+
+// The one menu behind every picker: type to filter (fuzzy, with matches
+// highlighted), ↑/↓, PgUp/PgDn, Home/End, 1-9 to pick a visible row while the
+// filter is empty, Enter to confirm, Esc to clear the filter or cancel. Long
+// lists scroll within the terminal height. Resolves the chosen item or null.
+// With `multi`, Tab (or 1-9) marks items in order and Enter resolves with the
+// marked items (or just the highlighted one when nothing is marked).
+function runMenu(items, { title = "Select:", initialIndex = 0, unavailable = "Non-interactive environment. Use command form instead.", multi = false } = {}) {
+  return new Promise((resolve) => {
+    // Prefer real TTY for input
+    let input = process.stdin;
+    let needClose = false;
+    try {
+      if (!input.isTTY) {
+        const fd = fs.openSync("/dev/tty", "r");
+        input = new tty.ReadStream(fd);
+        needClose = true;
+      }
+    } catch (e) {
+      console.error(c.red(unavailable));
+      return resolve(null);
+    }
+    const plain = items.map((it) => stripAnsi(it));
+    let query = "";
+    // Indices into items, in display order, with match positions.
+    let visible = items.map((_, i) => ({ index: i, positions: [] }));
+    let idx = Math.max(0, Math.min(initialIndex, Math.max(items.length - 1, 0)));
+    let top = 0;
+    let renderedLines = 0;
+    const marked = [];
+
+    const size = () => ({
+      rows: process.stderr.rows || input.rows || 24,
+      cols: process.stderr.columns || input.columns || 80,
+    });
+    // Rows left for items after the title and hint lines.
+    const pageSize = () => Math.max(3, size().rows - 3);
+
+    function applyFilter() {
+      if (!query) {
+        visible = items.map((_, i) => ({ index: i, positions: [] }));
+      } else {
+        visible = [];
+        plain.forEach((text, i) => {
+          const m = fuzzyMatch(query, text);
+          if (m) visible.push({ index: i, positions: m.positions, score: m.score });
+        });
+        visible.sort((a, b) => a.score - b.score || a.index - b.index);
+      }
+      idx = 0;
+      top = 0;
+    }
+
+    function move(to) {
+      if (visible.length === 0) return;
+      idx = to;
+      render();
     }
-    const hdr = c.cyan(c.bold(title));
-    const hint = c.dim("↑/↓ to move, Enter to confirm, Esc to cancel");
-    let idx = Math.max(0, Math.min(initialIndex, Math.max(items.length - 1, 0)));
-    let renderedLines = 0;
 
     function render() {
+      const { cols } = size();
+      const page = pageSize();
+      if (idx < top) top = idx;
+      if (idx >= top + page) top = idx - page + 1;
+      top = Math.max(0, Math.min(top, Math.max(visible.length - page, 0)));
       const lines = [];
-      lines.push(hdr);
-      for (let i = 0; i < items.length; i++) {
-        const sel = i === idx;
+      const filter = query ? ` ${c.dim("filter:")} ${query}` : "";
+      lines.push(c.cyan(c.bold(title)) + filter);
+      if (visible.length === 0) lines.push(c.dim("   (no matches)"));
+      for (let row = top; row < Math.min(top + page, visible.length); row++) {
+        const { index, positions } = visible[row];
+        const sel = row === idx;
         const pointer = sel ? c.green("›") : " ";
-        const label = sel ? c.green(c.bold(items[i])) : items[i];
-        lines.push(` ${pointer} ${label}`);
+        const num = !query && row - top < 9 ? c.dim(String(row - top + 1)) : " ";
+        let label;
+        if (query) label = highlightMatch(plain[index], positions, sel);
+        else label = sel ? c.green(c.bold(items[index])) : items[index];
+        const order = marked.indexOf(index);
+        const box = !multi ? "" : order === -1 ? c.dim("[ ] ") : c.green(`[${order + 1}] `);
+        lines.push(` ${pointer} ${num} ${box}${label}`);
+      }
+      const range = visible.length > page ? `[${top + 1}-${Math.min(top + page, visible.length)} of ${visible.length}] ` : "";
+      const keys = multi ? "Tab or 1-9 to mark in order" : "1-9 to pick";
+      lines.push(c.dim(`${range}Type to filter, ↑/↓ PgUp/PgDn Home/End to move, ${keys}, Enter to confirm, Esc to cancel`));
+      if (renderedLines > 0) clearLines(renderedLines);
+      writeStderr(lines.map((l) => fitLine(l, cols)).join("\n") + "\n");
+      renderedLines = lines.length;
+    }
+
+    function cleanup() {
+      if (renderedLines > 0) {
+        clearLines(renderedLines);
+        renderedLines = 0;
+      }
+    }
+
+    function toggle(index) {
+      const at = marked.indexOf(index);
+      if (at === -1) marked.push(index);
+      else marked.splice(at, 1);
+      render();
+    }
+
+    function finish(value) {
+      cleanup();
+      stop();
+      resolve(value);
+    }
+
+    const onKeypress = (str, key) => {
+      key = key || {};
+      const n = visible.length;
+      if (key.name === "up" || (key.ctrl && key.name === "p")) {
+        move((idx - 1 + n) % n);
+      } else if (key.name === "down" || (key.ctrl && key.name === "n")) {
+        move((idx + 1) % n);
+      } else if (key.name === "pageup") {
+        move(Math.max(0, idx - pageSize()));
+      } else if (key.name === "pagedown") {
+        move(Math.min(n - 1, idx + pageSize()));
+      } else if (key.name === "home") {
+        move(0);
+      } else if (key.name === "end") {
+        move(n - 1);
+      } else if (key.name === "return" || key.name === "enter") {
+        if (multi && marked.length > 0) finish(marked.map((i) => items[i]));
+        else if (n > 0) finish(multi ? [items[visible[idx].index]] : items[visible[idx].index]);
+      } else if (multi && key.name === "tab") {
+        if (n > 0) toggle(visible[idx].index);
+      } else if (key.name === "c" && key.ctrl) {
+        finish(null);
+      } else if (key.name === "escape") {
+        if (!query) return finish(null);
+        query = "";
+        applyFilter();
+        render();
+      } else if (key.name === "backspace") {
+        query = query.slice(0, -1);
+        applyFilter();
+        render();
+      } else if (key.ctrl && key.name === "u") {
+        query = "";
+        applyFilter();
+        render();
+      } else if (!query && str && /^[1-9]$/.test(str)) {
+        const row = top + Number(str) - 1;
+        if (row >= Math.min(top + pageSize(), n)) return;
+        if (multi) toggle(visible[row].index);
+        else finish(items[visible[row].index]);
+      } else if (str && str.length === 1 && str >= " " && !key.ctrl && !key.meta) {
+        query += str;
+        applyFilter();
+        render();
+      }
+    };
+
+    const onResize = () => render();
+
+    function stop() {
+      try { input.off("keypress", onKeypress); } catch (_) {}
+      try { process.stderr.off("resize", onResize); } catch (_) {}
+      try { input.setRawMode(false); } catch (_) {}
+      try { input.pause(); } catch (_) {}
+      if (needClose) {
+        try { input.destroy(); } catch (_) {}
+      }
+    }
+
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) {
+      try { input.setRawMode(true); } catch (_) {}
+    }
+    try { input.resume(); } catch (_) {}
+    input.on("keypress", onKeypress);
+    process.stderr.on("resize", onResize);
+    render();
+  });
+}
+
+async function selectPresetInteractively(names, current) {
+  return runMenu(names, {
+    title: "Select a preset:",
+    initialIndex: Math.max(0, current ? names.indexOf(current) : 0),
+    unavailable: "Non-interactive environment. Provide a name: quickenv use <name>",
+  });
+}
+
+// Pick one or more presets to stack, bottom layer first.
+async function selectPresetsInteractively(names, current) {
+  return runMenu(names, {
+    title: "Select presets (Tab marks layers in order):",
+    initialIndex: Math.max(0, current ? names.indexOf(current) : 0),
+    unavailable: "Non-interactive environment. Provide names: quickenv use <name> [<name>...]",
+    multi: true,
+  });
+}
+
+async function selectMenuInteractively(items, { title = "Select:", initialIndex = 0 } = {}) {
+  return runMenu(items, { title, initialIndex });
+}
+
+async function selectKeyForDeleteInteractively(presetName, keys) {
+  const items = [...keys, c.red("Delete entire preset…"), c.yellow("Back"), c.dim("Cancel")];
+  const ret = await selectMenuInteractively(items, { title: `Select a KEY to delete (preset: ${presetName})` });
+  if (ret === null) return { type: "cancel" };
+  const plain = stripAnsi(ret);
+  if (plain === "Cancel") return { type: "cancel" };
+  if (plain === "Back") return { type: "back" };
+  if (plain.includes("Delete entire preset")) return { type: "delete-preset" };
+  return { type: "key", key: plain };
+}
+
+async function cmdDelInteractive({ scope } = {}) {
+  const cfg = readConfig({ scope });
+  let names = Object.keys(cfg.envs).sort();
+  if (names.length === 0) {
+    console.error(c.red("No presets to delete."));
+    return;
+  }
+  while (true) {
+    const picked = await selectPresetInteractively(names, topPreset(cfg));
+    if (!picked) {
+      console.error(c.yellow("Cancelled."));
+      return;
+    }
+    const name = picked;
+    // Inner loop for deleting multiple keys
+    while (true) {
+      const keys = Object.keys(cfg.envs[name] || {}).sort();
+      if (keys.length === 0) {
+        const opt = await selectMenuInteractively([c.red("Delete entire preset…"), c.yellow("Back"), c.dim("Cancel")], { title: `Preset ${name} has no variables` });
+        if (!opt) { console.error(c.yellow("Cancelled.")); return; }
+        const plain = stripAnsi(opt);
+        if (plain === "Cancel") { console.error(c.yellow("Cancelled.")); return; }
+        if (plain === "Back") break; // back to preset selection
+        if (plain.includes("Delete entire preset")) {
+          const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+          const ans = (await askQuestion(rl, c.yellow(`Confirm delete the entire preset \`${name}\`? (y/N) `))).trim().toLowerCase();
+          rl.close();
+          if (ans !== "y" && ans !== "yes") { console.error(c.yellow("Cancelled.")); return; }
+          deletePreset(cfg, name);
+          writeConfig(cfg);
+          console.log(c.green(`Deleted preset: ${name}`));
+          names = Object.keys(cfg.envs).sort();
+          if (names.length === 0) return; // nothing left
+          break; // back to preset selection
+        }
+      } else {
+        const selection = await selectKeyForDeleteInteractively(name, keys);
+        if (selection.type === "cancel") { console.error(c.yellow("Cancelled.")); return; }
+        if (selection.type === "back") break; // back to preset selection
+        if (selection.type === "delete-preset") {
+          const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+          const ans = (await askQuestion(rl, c.yellow(`Confirm delete the entire preset \`${name}\`? (y/N) `))).trim().toLowerCase();
+          rl.close();
+          if (ans !== "y" && ans !== "yes") { console.error(c.yellow("Cancelled.")); return; }
+          deletePreset(cfg, name);
+          writeConfig(cfg);
+          console.log(c.green(`Deleted preset: ${name}`));
+          names = Object.keys(cfg.envs).sort();
+          if (names.length === 0) return;
+          break; // back to preset selection
+        }
+        if (selection.type === "key") {
+          const key = selection.key;
+          const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+          const ans = (await askQuestion(rl, c.yellow(`Confirm delete \`${name}.${key}\`? (y/N) `))).trim().toLowerCase();
+          rl.close();
+          if (ans !== "y" && ans !== "yes") {
+            console.error(c.yellow("Cancelled."));
+            return;
+          }
+          delete cfg.envs[name][key];
+          writeConfig(cfg);
+          console.log(c.green(`Deleted: ${name}.${key}`));
+          // continue inner loop to allow more deletions
+        }
+      }
+    }
+  }
+}
+
+async function cmdEditInteractive({ scope } = {}) {
+  const cfg = readConfig({ scope });
+  let names = Object.keys(cfg.envs).sort();
+  if (names.length === 0) {
+    console.error(c.red("No presets to edit. Run `quickenv set` first."));
+    return;
+  }
+  while (true) {
+    const picked = await selectPresetInteractively(names, topPreset(cfg));
+    if (!picked) { console.error(c.yellow("Cancelled.")); return; }
+    const name = picked;
+    while (true) {
+      const keys = Object.keys(cfg.envs[name] || {}).sort();
+      const items = [...keys, c.green("Create KEY…"), c.yellow("Back"), c.dim("Cancel")];
+      const ret = await selectMenuInteractively(items, { title: `Select a KEY to edit (preset: ${name})` });
+      if (!ret) { console.error(c.yellow("Cancelled.")); return; }
+      const plain = stripAnsi(ret);
+      if (plain === "Cancel") { console.error(c.yellow("Cancelled.")); return; }
+      if (plain === "Back") break; // back to preset selection
+      if (plain.includes("Create KEY")) {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const key = await askKey(rl, cfg, name, "Enter new KEY: ");
+        if (typeof cfg.envs[name][key] !== "undefined") {
+          const ans = (await askQuestion(rl, c.yellow(`KEY exists. Overwrite? (y/N) `))).trim().toLowerCase();
+          if (ans !== "y" && ans !== "yes") { rl.close(); console.error(c.yellow("Cancelled.")); return; }
+        }
+        const value = await askValue(rl, cfg, name, key, c.cyan("Enter VALUE ('<<' for several lines): "));
+        rl.close();
+        if (value === null) { console.error(c.yellow("Cancelled.")); return; }
+        const problem = valueProblem(cfg, name, key, value);
+        if (problem) { console.error(c.red(`Not saved: ${name}.${key} ${problem}`)); continue; }
+        await storeValue(cfg, name, key, value);
+        writeConfig(cfg);
+        console.log(c.green(`Saved: ${name}.${key}`));
+        continue; // stay in key loop
+      }
+      // edit existing key
+      const key = plain;
+      const oldVal = cfg.envs[name][key];
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      console.log(c.dim(`Current value: ${displayStoredValue(cfg, name, key, oldVal)}`));
+      let value = await askValue(rl, cfg, name, key, c.cyan("Enter new value (Enter to keep, '-' to clear, '<<' for several lines): "));
+      rl.close();
+      if (value === null) { console.error(c.yellow("Cancelled.")); return; }
+      if (value === "") continue; // keep
+      if (value === "-") value = ""; // clear
+      const problem = valueProblem(cfg, name, key, value);
+      if (problem) { console.error(c.red(`Not saved: ${name}.${key} ${problem}`)); continue; }
+      await storeValue(cfg, name, key, value);
+      writeConfig(cfg);
+      console.log(c.green(`Saved: ${name}.${key}`));
+      // continue editing more keys
+    }
+  }
+}
+
+function askQuestion(rl, q) {
+  return new Promise((resolve) => rl.question(q, resolve));
+}
+
+// Prompt for a value, without echo when the key is sensitive (closing rl so
+// it doesn't echo the keystrokes). Resolves the trimmed answer, or null when a
+// hidden prompt is cancelled.
+// Answering `<<` switches to multi-line input, ended by a line `EOF`.
+async function askValue(rl, cfg, name, key, q) {
+  let ans;
+  if (isSensitiveKey(cfg, name, key)) {
+    rl.close();
+    ans = await askHidden(q);
+    if (ans === null) return null;
+  } else {
+    ans = await askQuestion(rl, q);
+  }
+  if (ans.trim() !== "<<") return ans.trim();
+  if (isSensitiveKey(cfg, name, key)) {
+    // Keep the body hidden like the single-line prompt.
+    return askHidden(c.dim("Enter the value (hidden); finish with a line containing only EOF: "), { untilEof: true });
+  }
+  // Read the lines through the caller's rl; a second interface on stdin
+  // would echo every keystroke twice.
+  const lines = [];
+  console.log(c.dim("Enter the value; finish with a line containing only EOF."));
+  for (;;) {
+    const line = await askQuestion(rl, c.dim("> "));
+    if (line === "EOF") break;
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+function displayStoredValue(cfg, name, key, value) {
+  if (isEncrypted(value)) return `${SECRET_PLACEHOLDER} (encrypted)`;
+  if (isSource(value)) return sourceLabel(value);
+  return isSensitiveKey(cfg, name, key) ? SECRET_PLACEHOLDER : summarizeValue(value);
+}
+
+// Make a key's value come from a command, a file or another variable.
+function cmdSource(name, key, type, arg, { ttl, timeout, scope } = {}) {
+  if (!name || !key) {
+    console.error("Usage: quickenv source <preset> <KEY> cmd|file|env <'command'|path|NAME> [--ttl 15m] [--timeout 10s] [-- command...]");
+    process.exit(1);
+  }
+  const cfg = readConfig({ scope });
+  if (!type) {
+    const v = cfg.envs[name] ? cfg.envs[name][key] : undefined;
+    if (!isSource(v)) {
+      console.error(c.red(`${name}.${key} is not a dynamic value.`));
+      process.exit(1);
+    }
+    if (outputJson) printJson(v);
+    else console.log(sourceLabel(v));
+    return;
+  }
+  if (!SOURCE_TYPES.includes(type) || !arg) {
+    if (!SOURCE_TYPES.includes(type)) console.error(c.red(`Unknown source type: ${type} (use ${SOURCE_TYPES.join(", ")})`));
+    else console.error(c.red(`Missing the ${type === "cmd" ? "command" : type === "file" ? "path" : "variable name"} for ${name}.${key}.`));
+    process.exit(1);
+  }
+  for (const [flag, v] of [["ttl", ttl], ["timeout", timeout]]) {
+    if (typeof v === "undefined") continue;
+    try {
+      if (flag === "timeout") parseTimerDuration(v);
+      else parseDuration(v);
+    } catch (err) {
+      console.error(c.red(`--${flag}: ${err.message}`));
+      process.exit(1);
+    }
+  }
+  ensureValidKey(cfg, name, key);
+  if (!cfg.envs[name]) {
+    cfg.envs[name] = {};
+    placeNewPreset(cfg, name, scope || "global");
+  }
+  const src = presetSource(cfg, name);
+  if (type === "cmd" && src && src.kind === "local") {
+    console.error(c.red(`Command sources can only be stored in the global config; \`${name}\` lives in ${src.file}.`));
+    process.exit(1);
+  }
+  const def = { source: type };
+  if (type === "cmd") def.command = arg;
+  else if (type === "file") def.path = arg;
+  else def.name = arg;
+  if (ttl) def.ttl = ttl;
+  if (timeout && type === "cmd") def.timeout = timeout;
+  cfg.envs[name][key] = def;
+  writeConfig(cfg);
+  console.log(`Saved: ${name}.${key} = ${sourceLabel(def)}${whereSuffix(cfg, name)}`);
+}
+
+// Forget cached source values, for one preset or all of them.
+function cmdRefresh(name) {
+  const cache = readSourceCache();
+  const ids = Object.keys(cache).filter((id) => !name || id.startsWith(`${name}.`));
+  for (const id of ids) delete cache[id];
+  if (ids.length > 0) writeSourceCache(cache);
+  console.log(`Cleared ${ids.length} cached value${ids.length === 1 ? "" : "s"}${name ? ` of ${name}` : ""}.`);
+}
+
+// Flag keys as sensitive (or clear the flag with --off) independent of the
+// mask patterns.
+function cmdMask(name, keys, { off = false, scope } = {}) {
+  const cfg = readConfig({ scope });
+  if (!name || !cfg.envs[name] || keys.length === 0) {
+    if (name && !cfg.envs[name]) console.error(c.red(`Preset not found: ${name}`));
+    else console.error("Usage: quickenv mask <preset> <KEY>... [--off]");
+    process.exit(1);
+  }
+  const meta = cfg.meta[name] || {};
+  const current = new Set(Array.isArray(meta.sensitive) ? meta.sensitive : []);
+  for (const k of keys) {
+    if (off) current.delete(k);
+    else current.add(k);
+  }
+  if (current.size > 0) meta.sensitive = [...current].sort();
+  else delete meta.sensitive;
+  if (Object.keys(meta).length > 0) cfg.meta[name] = meta;
+  else delete cfg.meta[name];
+  writeConfig(cfg);
+  console.log(off ? `Unmasked: ${keys.map((k) => `${name}.${k}`).join(", ")}` : `Masked: ${keys.map((k) => `${name}.${k}`).join(", ")}`);
+}
+
+function presetTags(cfg, name) {
+  const meta = cfg.meta[name] || {};
+  return Array.isArray(meta.tags) ? meta.tags : [];
+}
+
+// Label a preset with free-form tags (or remove them with --off); presets
+// tagged `production` show in red in the prompt segment.
+function cmdTag(name, tags, { off = false } = {}) {
+  const cfg = readConfig();
+  if (!name || !cfg.envs[name]) {
+    if (name) console.error(c.red(`Preset not found: ${name}`));
+    else console.error("Usage: quickenv tag <preset> [tag...] [--off]");
+    process.exit(1);
+  }
+  if (tags.length === 0) {
+    const cur = presetTags(cfg, name);
+    if (outputJson) printJson({ preset: name, tags: cur });
+    else if (cur.length === 0) console.log(c.dim(`${name} has no tags.`));
+    else console.log(cur.join(", "));
+    return;
+  }
+  const bad = tags.find((t) => !/^[A-Za-z0-9_.-]+$/.test(t));
+  if (bad) {
+    console.error(c.red(`Invalid tag: ${bad}`));
+    console.error(c.dim("Tags may contain letters, digits, '.', '_' and '-'."));
+    process.exit(1);
+  }
+  const meta = cfg.meta[name] || {};
+  const current = new Set(presetTags(cfg, name));
+  for (const t of tags) {
+    if (off) current.delete(t);
+    else current.add(t);
+  }
+  if (current.size > 0) meta.tags = [...current].sort();
+  else delete meta.tags;
+  if (Object.keys(meta).length > 0) cfg.meta[name] = meta;
+  else delete cfg.meta[name];
+  writeConfig(cfg);
+  console.log(off ? `Untagged ${name}: ${tags.join(", ")}` : `Tagged ${name}: ${tags.join(", ")}`);
+}
+
+async function cmdSetInteractive({ scope } = {}) {
+  const cfg = readConfig({ scope, target: scope });
+  const names = Object.keys(cfg.envs).sort();
+  let presetName = null;
+
+  if (names.length === 0) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const input = await askQuestion(rl, c.cyan("No presets yet. Enter a new preset name: "));
+    rl.close();
+    presetName = input.trim();
+    if (!presetName) {
+      console.error(c.red("Preset name cannot be empty."));
+      return;
+    }
+    if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
+  } else {
+    const opts = [...names, c.green("Create new preset…"), c.dim("Cancel")];
+    const initialIndex = Math.max(0, names.indexOf(topPreset(cfg)));
+    const sel = await selectMenuInteractively(opts, { title: "Select a preset for setting variables:", initialIndex });
+    if (!sel) {
+      // Fallback to text input when non-interactive
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      console.log(c.cyan("Select a preset:"));
+      names.forEach((n, idx) => {
+        const mark = topPreset(cfg) === n ? "*" : " ";
+        const label = topPreset(cfg) === n ? c.green(n) : n;
+        console.log(`  [${idx + 1}] ${mark} ${label}`);
+      });
+      console.log(c.dim(`  [${names.length + 1}] Create new preset`));
+      const ans = await askQuestion(rl, c.cyan(`Enter index or name: `));
+      rl.close();
+      const trimmed = ans.trim();
+      const num = Number(trimmed);
+      if (Number.isInteger(num) && num >= 1 && num <= names.length) {
+        presetName = names[num - 1];
+      } else if (Number.isInteger(num) && num === names.length + 1) {
+        const rl2 = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const newName = await askQuestion(rl2, c.cyan("Enter new preset name: "));
+        rl2.close();
+        presetName = newName.trim();
+        if (!presetName) {
+          console.error(c.red("Preset name cannot be empty."));
+          return;
+        }
+        if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
+      } else if (trimmed) {
+        if (!cfg.envs[trimmed]) {
+          const rl3 = readline.createInterface({ input: process.stdin, output: process.stdout });
+          const confirm = (await askQuestion(rl3, c.yellow(`Preset \`${trimmed}\` does not exist. Create it? (y/N) `))).trim().toLowerCase();
+          rl3.close();
+          if (confirm !== "y" && confirm !== "yes") {
+            console.error(c.yellow("Cancelled."));
+            return;
+          }
+          cfg.envs[trimmed] = {};
+        }
+        presetName = trimmed;
+      } else {
+        console.error(c.red("Invalid input."));
+        return;
+      }
+    } else {
+      const choice = stripAnsi(sel);
+      if (choice === "Cancel") {
+        console.error(c.yellow("Cancelled."));
+        return;
+      }
+      if (choice.includes("Create new preset")) {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const newName = await askQuestion(rl, c.cyan("Enter new preset name: "));
+        rl.close();
+        presetName = newName.trim();
+        if (!presetName) {
+          console.error(c.red("Preset name cannot be empty."));
+          return;
+        }
+        if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
+      } else {
+        presetName = choice;
       }
-      lines.push(hint);
-      if (renderedLines > 0) clearLines(renderedLines);
-      writeStderr(lines.join("\n") + "\n");
-      renderedLines = lines.length;
     }
+  }
 
-    function cleanup() {
-      if (renderedLines > 0) {
-        clearLines(renderedLines);
-        renderedLines = 0;
+  // Loop: add multiple keys until user finishes
+  while (true) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const key = await askKey(rl, cfg, presetName, "Enter KEY: ");
+    const currentVal = cfg.envs[presetName][key];
+    if (typeof currentVal !== "undefined") {
+      const shown = displayStoredValue(cfg, presetName, key, currentVal);
+      const ans = (await askQuestion(rl, c.yellow(`KEY exists (current: ${shown}). Overwrite? (y/N) `))).trim().toLowerCase();
+      if (ans !== "y" && ans !== "yes") {
+        console.log(c.yellow("Not overwritten. Cancelled."));
+        rl.close();
+        // Ask next action after cancelling overwrite
+        const next = await selectMenuInteractively(["Add another key", "Change preset", "Finish"], { title: `Next action for ${presetName}:` });
+        const plain = next ? stripAnsi(next) : null;
+        if (plain === "Change preset") {
+          // choose preset again
+          const names2 = Object.keys(cfg.envs).sort();
+          const opts2 = [...names2, c.green("Create new preset…"), c.dim("Cancel")];
+          const initialIndex2 = Math.max(0, names2.indexOf(topPreset(cfg)));
+          const sel2 = await selectMenuInteractively(opts2, { title: "Select a preset:", initialIndex: initialIndex2 });
+          const choice2 = sel2 ? stripAnsi(sel2) : null;
+          if (choice2 && choice2 !== "Cancel") {
+            if (choice2.includes("Create new preset")) {
+              const rl2 = readline.createInterface({ input: process.stdin, output: process.stdout });
+              const newName2 = await askQuestion(rl2, c.cyan("Enter new preset name: "));
+              rl2.close();
+              const p2 = newName2.trim();
+              if (p2) { if (!cfg.envs[p2]) cfg.envs[p2] = {}; presetName = p2; }
+            } else {
+              presetName = choice2;
+            }
+          }
+        }
+        if (plain === "Finish" || !plain) return; // end
+        continue; // add another key
+      }
+    }
+    const value = await askValue(rl, cfg, presetName, key, c.cyan("Enter VALUE ('<<' for several lines): "));
+    rl.close();
+    if (value === null) {
+      console.error(c.yellow("Cancelled."));
+      return;
+    }
+
+    const problem = valueProblem(cfg, presetName, key, value);
+    if (problem) {
+      console.error(c.red(`Not saved: ${presetName}.${key} ${problem}`));
+    } else {
+      await storeValue(cfg, presetName, key, value);
+      writeConfig(cfg);
+      console.log(c.green(`Saved: ${presetName}.${key}`));
+    }
+
+    // Ask next action
+    const next = await selectMenuInteractively(["Add another key", "Change preset", "Finish"], { title: `Next action for ${presetName}:` });
+    const plain = next ? stripAnsi(next) : null;
+    if (plain === "Change preset") {
+      const names2 = Object.keys(cfg.envs).sort();
+      const opts2 = [...names2, c.green("Create new preset…"), c.dim("Cancel")];
+      const initialIndex2 = Math.max(0, names2.indexOf(topPreset(cfg)));
+      const sel2 = await selectMenuInteractively(opts2, { title: "Select a preset:", initialIndex: initialIndex2 });
+      const choice2 = sel2 ? stripAnsi(sel2) : null;
+      if (choice2 && choice2 !== "Cancel") {
+        if (choice2.includes("Create new preset")) {
+          const rl2 = readline.createInterface({ input: process.stdin, output: process.stdout });
+          const newName2 = await askQuestion(rl2, c.cyan("Enter new preset name: "));
+          rl2.close();
+          const p2 = newName2.trim();
+          if (p2) { if (!cfg.envs[p2]) cfg.envs[p2] = {}; presetName = p2; }
+        } else {
+          presetName = choice2;
+        }
+      }
+    } else if (plain === "Finish" || !plain) {
+      return; // done
+    }
+    // else Add another key -> loop
+  }
+}
+
+async function cmdSetNonInteractive(presetName, key, value, { scope } = {}) {
+  const cfg = readConfig({ scope });
+  if (!presetName) {
+    console.error("Provide a preset: quickenv set <preset> <KEY> <VALUE|-|@file>");
+    process.exit(1);
+  }
+  ensureValidKey(cfg, presetName, key);
+  if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
+  if (typeof value === "undefined" || value === null) value = "";
+  ensureValidValue(cfg, presetName, key, value);
+  await storeValue(cfg, presetName, key, String(value));
+  writeConfig(cfg);
+  console.log(`Saved: ${presetName}.${key}${whereSuffix(cfg, presetName)}`);
+}
+
+// Parse dotenv files and `export K=V` shell snippets. In "dotenv" mode
+// double-quoted values understand \n, \t, \r, \", \\ and \$, and unquoted
+// values run to the end of the line (minus a ` #` comment). In "shell" mode
+// values follow sh word rules: single quotes, double quotes, $'...' and
+// backslash escapes, ending at whitespace or `;`. Returns the assignments
+// in file order plus one error per line that could not be understood.
+// Values come back in stored (template) form: a `$` from single quotes,
+// $'...' or a backslash escape is doubled so it stays literal, while `${...}`
+// in double-quoted and unquoted text remains a reference.
+function parseEnvText(text, mode = "dotenv") {
+  const entries = [];
+  const errors = [];
+  const src = String(text).replace(/\r\n?/g, "\n");
+  const n = src.length;
+  let i = 0;
+  let line = 1;
+  const isBlank = (ch) => ch === " " || ch === "\t";
+
+  function skipToEol() {
+    while (i < n && src[i] !== "\n") i++;
+  }
+
+  function readQuoted(close, escape) {
+    // Assumes src[i] is the opening quote; returns null when unterminated.
+    let out = "";
+    i++;
+    while (i < n && src[i] !== close) {
+      if (src[i] === "\n") line++;
+      if (src[i] === "\\" && escape && i + 1 < n) {
+        const r = escape(src[i + 1]);
+        if (r !== null) { out += r; i += 2; continue; }
+      }
+      out += src[i++];
+    }
+    if (i >= n) return null;
+    i++; // closing quote
+    return out;
+  }
+
+  const dotenvEscapes = { n: "\n", r: "\r", t: "\t", '"': '"', "\\": "\\", $: "$" };
+  const shellDqEscapes = { '"': '"', "\\": "\\", $: "$", "`": "`", "\n": "" };
+  const ansiCEscapes = { n: "\n", r: "\r", t: "\t", a: "\x07", b: "\b", e: "\x1b", f: "\f", v: "\v", "'": "'", '"': '"', "\\": "\\" };
+
+  function readAnsiC() {
+    // $'...' quoting; src[i] is the `$`.
+    let out = "";
+    i += 2;
+    while (i < n && src[i] !== "'") {
+      if (src[i] === "\n") line++;
+      if (src[i] === "\\" && i + 1 < n) {
+        const e = src[i + 1];
+        if (Object.prototype.hasOwnProperty.call(ansiCEscapes, e)) { out += ansiCEscapes[e]; i += 2; continue; }
+        const hex = /^x([0-9A-Fa-f]{1,2})/.exec(src.slice(i + 1, i + 4));
+        if (hex) { out += String.fromCharCode(parseInt(hex[1], 16)); i += 1 + hex[0].length; continue; }
+        const oct = /^[0-7]{1,3}/.exec(src.slice(i + 1, i + 4));
+        if (oct) { out += String.fromCharCode(parseInt(oct[0], 8)); i += 1 + oct[0].length; continue; }
+      }
+      out += src[i++];
+    }
+    if (i >= n) return null;
+    i++;
+    return out;
+  }
+
+  while (i < n) {
+    while (i < n && isBlank(src[i])) i++;
+    if (i >= n) break;
+    if (src[i] === "\n") { i++; line++; continue; }
+    if (src[i] === "#") { skipToEol(); continue; }
+    const startLine = line;
+    if (/^export[ \t]/.test(src.slice(i, i + 7))) {
+      i += 6;
+      while (i < n && isBlank(src[i])) i++;
+    }
+    const keyMatch = /^[^=\s;#]+/.exec(src.slice(i, i + 256));
+    const key = keyMatch ? keyMatch[0] : "";
+    i += key.length;
+    if (mode === "dotenv") while (i < n && isBlank(src[i])) i++;
+    if (!key || src[i] !== "=") {
+      errors.push({ line: startLine, message: "ignored: not a KEY=VALUE assignment" });
+      skipToEol();
+      continue;
+    }
+    i++; // '='
+    if (mode === "dotenv") while (i < n && isBlank(src[i])) i++;
+
+    let value = "";
+    let ok = true;
+    while (ok && i < n) {
+      const ch = src[i];
+      if (ch === "'") {
+        const q = readQuoted("'", null);
+        if (q === null) ok = false; else value += escapeTemplate(q);
+      } else if (ch === "$" && src[i + 1] === "'" && mode === "shell") {
+        const q = readAnsiC();
+        if (q === null) ok = false; else value += escapeTemplate(q);
+      } else if (ch === '"') {
+        const table = mode === "dotenv" ? dotenvEscapes : shellDqEscapes;
+        const q = readQuoted('"', (e) => (Object.prototype.hasOwnProperty.call(table, e) ? escapeTemplate(table[e]) : null));
+        if (q === null) ok = false; else value += q;
+      } else if (ch === "\n" || isBlank(ch) || ch === ";") {
+        break;
+      } else if (mode === "dotenv") {
+        // Unquoted: the rest of the line, up to an inline ` #` comment.
+        let j = i;
+        while (j < n && src[j] !== "\n" && !(src[j] === "#" && j > i && isBlank(src[j - 1]))) j++;
+        value += src.slice(i, j).replace(/[ \t]+$/, "");
+        i = j;
+        break;
+      } else {
+        if (ch === "\\" && i + 1 < n) {
+          if (src[i + 1] === "\n") line++;
+          else value += escapeTemplate(src[i + 1]);
+          i += 2;
+        } else {
+          value += ch;
+          i++;
+        }
+      }
+    }
+    if (!ok) {
+      errors.push({ line: startLine, message: `unterminated quote in ${key}` });
+      break;
+    }
+    while (i < n && isBlank(src[i])) i++;
+    if (src[i] === ";") i++;
+    while (i < n && isBlank(src[i])) i++;
+    if (i < n && src[i] === "#") skipToEol();
+    if (mode === "shell") {
+      // `export A=1 B=2; export C=3` — keep reading on the same line.
+      entries.push({ key, value, line: startLine });
+      continue;
+    }
+    if (i < n && src[i] !== "\n") {
+      errors.push({ line: startLine, message: `unexpected text after ${key}` });
+      skipToEol();
+      continue;
+    }
+    entries.push({ key, value, line: startLine });
+  }
+  return { entries, errors };
+}
+
+function parseJsonEnv(text) {
+  const entries = [];
+  const errors = [];
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (err) {
+    return { entries, errors: [{ line: null, message: `invalid JSON: ${err.message}` }] };
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { entries, errors: [{ line: null, message: "expected a flat JSON object" }] };
+  }
+  for (const [key, v] of Object.entries(obj)) {
+    if (v === null) continue;
+    if (typeof v === "object") {
+      errors.push({ key, message: "nested objects and arrays are not supported" });
+      continue;
+    }
+    // JSON has no quoting for references, so every value is literal.
+    entries.push({ key, value: escapeTemplate(v) });
+  }
+  return { entries, errors };
+}
+
+function detectImportFormat(file, text) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".json") return "json";
+  if (ext === ".sh" || ext === ".bash" || ext === ".zsh") return "shell";
+  if (text.trimStart().startsWith("{")) return "json";
+  return "dotenv";
+}
+
+async function cmdImport(file, { preset, format, yes = false, scope } = {}) {
+  if (!file) {
+    console.error("Usage: quickenv import <file|-> [--preset name] [--format dotenv|json|shell] [--yes]");
+    process.exit(1);
+  }
+  let text;
+  try {
+    text = file === "-" ? fs.readFileSync(0, "utf8") : fs.readFileSync(file, "utf8");
+  } catch (err) {
+    console.error(c.red(`Cannot read ${file}: ${err.message}`));
+    process.exit(1);
+  }
+  const fmt = format || detectImportFormat(file, text);
+  if (!["dotenv", "json", "shell"].includes(fmt)) {
+    console.error(c.red(`Unknown import format: ${fmt}`));
+    process.exit(1);
+  }
+  const parsed = fmt === "json" ? parseJsonEnv(text) : parseEnvText(text, fmt);
+  const canPrompt = file !== "-" && process.stdin.isTTY;
+
+  const cfg = readConfig({ scope });
+  let name = preset;
+  if (!name) {
+    if (!canPrompt) {
+      console.error(c.red("Provide a target preset: quickenv import <file> --preset <name>"));
+      process.exit(1);
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const hint = topPreset(cfg) ? ` (${topPreset(cfg)})` : "";
+    name = (await askQuestion(rl, c.cyan(`Import into preset${hint}: `))).trim() || topPreset(cfg);
+    rl.close();
+    if (!name) {
+      console.error(c.red("Preset name cannot be empty."));
+      return;
+    }
+  }
+
+  // Later duplicates win, like they would when sourcing the file.
+  const incoming = {};
+  const problems = parsed.errors.map((e) => ({ label: e.key || (e.line ? `line ${e.line}` : file), message: e.message }));
+  const policy = keyPolicyOrExit(cfg, name);
+  for (const { key, value, line } of parsed.entries) {
+    if (key === STATE_VAR) continue;
+    const label = line ? `${key} (line ${line})` : key;
+    const problem = keyProblem(policy, key);
+    if (problem) {
+      problems.push({ label, message: `invalid KEY: ${problem}` });
+    } else {
+      incoming[key] = value;
+    }
+  }
+
+  // Every value must still expand once stored, e.g. no stray `${` from an
+  // unquoted or double-quoted value; such keys are reported and skipped.
+  for (;;) {
+    try {
+      interpolateVars({ ...maskEncrypted(cfg.envs[name] || {}), ...incoming }, baseEnv());
+      break;
+    } catch (err) {
+      const culprits = templateCulprits(err).filter((k) => k in incoming);
+      if (culprits.length === 0) break;
+      for (const k of new Set(culprits)) {
+        problems.push({ label: k, message: err.message });
+        delete incoming[k];
       }
     }
+  }
+
+  const existing = cfg.envs[name] || {};
+  const added = [];
+  const changed = [];
+  const same = [];
+  for (const k of Object.keys(incoming).sort()) {
+    if (!Object.prototype.hasOwnProperty.call(existing, k)) added.push(k);
+    else if (String(existing[k]) !== incoming[k]) changed.push(k);
+    else same.push(k);
+  }
+
+  const target = cfg.envs[name] ? name : `${name} (new preset)`;
+  console.log(c.cyan(c.bold("Import: ")) + `${file} → ${target} ` + c.dim(`[${fmt}]`));
+  for (const k of added) console.log(` ${c.green("+")} ${k}`);
+  for (const k of changed) console.log(` ${c.yellow("~")} ${k} ${c.dim("(overwrite)")}`);
+  for (const k of same) console.log(` ${c.gray("=")} ${c.dim(k)}`);
+  for (const p of problems) console.log(` ${c.red("✗")} ${p.label}: ${c.red(p.message)}`);
+
+  if (added.length + changed.length === 0) {
+    console.log(c.dim("Nothing to import."));
+    return;
+  }
+  if (!yes) {
+    if (!canPrompt) {
+      console.error(c.red("Not a terminal; pass --yes to import without confirmation."));
+      process.exit(1);
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const ans = (await askQuestion(rl, c.yellow(`Merge ${added.length} new and ${changed.length} changed key(s) into \`${name}\`? (y/N) `))).trim().toLowerCase();
+    rl.close();
+    if (ans !== "y" && ans !== "yes") {
+      console.error(c.yellow("Cancelled."));
+      return;
+    }
+  }
+  if (!cfg.envs[name]) cfg.envs[name] = {};
+  for (const k of [...added, ...changed]) await storeValue(cfg, name, k, incoming[k]);
+  writeConfig(cfg);
+  console.log(c.green(`Imported into ${name}: ${added.length} added, ${changed.length} overwritten, ${same.length} unchanged.`) + whereSuffix(cfg, name));
+}
+
+function dotenvQuote(value) {
+  const s = String(value);
+  if (/^[A-Za-z0-9_.\/:@%+,=-]*$/.test(s)) return s;
+  return '"' + s.replace(/[\\"$\n\r]/g, (ch) => ({ "\\": "\\\\", '"': '\\"', $: "\\$", "\n": "\\n", "\r": "\\r" }[ch])) + '"';
+}
+
+function systemdQuote(value) {
+  // Quoted Environment= assignment: C-style escapes, and `%` starts a unit
+  // specifier so it must be doubled.
+  return String(value).replace(/[\\"\n\r%]/g, (ch) => ({ "\\": "\\\\", '"': '\\"', "\n": "\\n", "\r": "\\r", "%": "%%" }[ch]));
+}
+
+// Kubernetes object names must be DNS-1123 subdomains.
+function k8sName(name) {
+  const n = String(name).toLowerCase().replace(/[^a-z0-9.-]+/g, "-").replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, "");
+  return n.slice(0, 253) || "quickenv";
+}
+
+const exportFormats = {
+  dotenv: (vars) => Object.keys(vars).map((k) => `${k}=${dotenvQuote(vars[k])}`).join("\n") + "\n",
+  json: (vars) => JSON.stringify(vars, null, 2) + "\n",
+  docker: (vars) => {
+    // docker --env-file takes everything after `=` literally, one per line.
+    for (const k of Object.keys(vars)) {
+      if (hasNewline(vars[k])) throw new Error(`docker env-files cannot hold multi-line values: ${k}`);
+    }
+    return Object.keys(vars).map((k) => `${k}=${vars[k]}`).join("\n") + "\n";
+  },
+  systemd: (vars) => "[Service]\n" + Object.keys(vars).map((k) => `Environment="${k}=${systemdQuote(vars[k])}"`).join("\n") + "\n",
+  "k8s-configmap": (vars, { name }) => [
+    "apiVersion: v1",
+    "kind: ConfigMap",
+    "metadata:",
+    `  name: ${k8sName(name)}`,
+    Object.keys(vars).length ? "data:" : "data: {}",
+    // JSON strings are valid YAML double-quoted scalars.
+    ...Object.keys(vars).map((k) => `  ${k}: ${JSON.stringify(String(vars[k]))}`),
+  ].join("\n") + "\n",
+  "k8s-secret": (vars, { name }) => [
+    "apiVersion: v1",
+    "kind: Secret",
+    "metadata:",
+    `  name: ${k8sName(name)}`,
+    "type: Opaque",
+    Object.keys(vars).length ? "data:" : "data: {}",
+    ...Object.keys(vars).map((k) => `  ${k}: ${Buffer.from(String(vars[k]), "utf8").toString("base64")}`),
+  ].join("\n") + "\n",
+};
+
+async function cmdExport(presetArg, { format = "dotenv", output, name } = {}) {
+  const names = splitPresetList(presetArg);
+  if (names.length === 0) {
+    console.error(`Usage: quickenv export <preset>[,<preset>...] [--format ${Object.keys(exportFormats).join("|")}] [--output file] [--name resource]`);
+    process.exit(1);
+  }
+  const render = exportFormats[format];
+  if (!render) {
+    console.error(c.red(`Unknown export format: ${format}`));
+    console.error(c.dim(`Supported: ${Object.keys(exportFormats).join(", ")}`));
+    process.exit(1);
+  }
+  const cfg = readConfig();
+  for (const n of names) ensurePresetExists(cfg, n);
+  const values = await expandStack(cfg, names, baseEnv());
+  const sorted = {};
+  for (const k of Object.keys(values).sort()) sorted[k] = values[k];
+  let out;
+  try {
+    out = render(sorted, { name: name || names.join("-") });
+  } catch (err) {
+    console.error(c.red(err.message));
+    process.exit(1);
+  }
+  if (!output || output === "-") {
+    process.stdout.write(out);
+    return;
+  }
+  // Exports usually contain credentials: keep the file private.
+  fs.writeFileSync(output, out, { encoding: "utf8", mode: 0o600 });
+  console.error(`Wrote ${Object.keys(sorted).length} keys to ${output} (${format})`);
+}
+
+// A preset stack expanded with its sensitive values replaced by the
+// placeholder, so values built from them come out partly masked too.
+function maskedStack(cfg, names) {
+  const vars = {};
+  const keys = new Set();
+  for (const n of names) {
+    const res = resolvePresetOrExit(cfg, n);
+    const sens = sensitiveKeys(cfg, res);
+    for (const [k, v] of Object.entries(res.vars)) {
+      vars[k] = sens.has(k) ? SECRET_PLACEHOLDER : isSource(v) ? sourceLabel(v) : v;
+      if (sens.has(k)) keys.add(k);
+      else keys.delete(k);
+    }
+  }
+  applySchemaDefaults(cfg, names, vars);
+  try {
+    return { keys, values: interpolateVars(vars, baseEnv()) };
+  } catch (err) {
+    console.error(c.red(`${names.join(",")}: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+const diffFormats = ["text", "json", "unified"];
+
+// Compare two preset stacks (`b` null with `env` compares `a` to the live
+// environment). Values are compared after decryption and interpolation;
+// masked keys are printed as placeholders unless `reveal`.
+async function cmdDiff(a, b, { env = false, format = outputJson ? "json" : "text", reveal = false } = {}) {
+  const left = splitPresetList(a);
+  const right = env ? [] : splitPresetList(b);
+  if (left.length === 0 || (!env && right.length === 0) || (env && b)) {
+    console.error("Usage: quickenv diff <a> <b> | quickenv diff <preset> --env [--format text|json|unified] [--reveal]");
+    process.exit(1);
+  }
+  if (!diffFormats.includes(format)) {
+    console.error(c.red(`Unknown diff format: ${format}`));
+    console.error(c.dim(`Supported: ${diffFormats.join(", ")}`));
+    process.exit(1);
+  }
+  const cfg = readConfig();
+  for (const n of [...left, ...right]) ensurePresetExists(cfg, n);
+  // Presets are compared by their source definitions; --env needs the values.
+  const from = await expandStack(cfg, left, baseEnv(), { sources: env });
+  let to;
+  if (env) {
+    to = {};
+    for (const k of Object.keys(from)) {
+      if (Object.prototype.hasOwnProperty.call(process.env, k)) to[k] = process.env[k];
+    }
+  } else {
+    to = await expandStack(cfg, right, baseEnv(), { sources: false });
+  }
+  const maskA = maskedStack(cfg, left);
+  // Shell values of keys that are masked, or built from masked ones, are
+  // hidden entirely.
+  const maskB = env
+    ? { keys: new Set(Object.keys(maskA.values).filter((k) => maskA.values[k].includes(SECRET_PLACEHOLDER))), values: {} }
+    : maskedStack(cfg, right);
+  const show = (mask, k, v) => {
+    if (reveal) return v;
+    if (mask.keys.has(k)) return SECRET_PLACEHOLDER;
+    return mask.values[k] !== undefined && mask.values[k].includes(SECRET_PLACEHOLDER) ? mask.values[k] : v;
+  };
+
+  const rows = [];
+  for (const k of [...new Set([...Object.keys(from), ...Object.keys(to)])].sort()) {
+    const inFrom = Object.prototype.hasOwnProperty.call(from, k);
+    const inTo = Object.prototype.hasOwnProperty.call(to, k);
+    let status;
+    if (env) status = !inTo ? "missing" : from[k] === to[k] ? "matching" : "different";
+    else status = !inFrom ? "added" : !inTo ? "removed" : from[k] === to[k] ? "unchanged" : "changed";
+    rows.push({ key: k, status, from: inFrom ? show(maskA, k, from[k]) : undefined, to: inTo ? show(maskB, k, to[k]) : undefined });
+  }
+  const labelA = left.join(",");
+  const labelB = env ? "environment" : right.join(",");
+
+  if (format === "json") {
+    const doc = env ? { preset: labelA, missing: {}, different: {}, matching: [] } : { a: labelA, b: labelB, added: {}, removed: {}, changed: {}, unchanged: [] };
+    for (const r of rows) {
+      if (r.status === "matching" || r.status === "unchanged") doc[r.status].push(r.key);
+      else if (r.status === "missing") doc.missing[r.key] = r.from;
+      else if (r.status === "different") doc.different[r.key] = { preset: r.from, env: r.to };
+      else if (r.status === "added") doc.added[r.key] = r.to;
+      else if (r.status === "removed") doc.removed[r.key] = r.from;
+      else doc.changed[r.key] = { from: r.from, to: r.to };
+    }
+    printJson(doc);
+    return;
+  }
+  if (format === "unified") {
+    // dotenv-style lines, so multi-line values stay on one line.
+    const line = (prefix, k, v) => `${prefix}${k}=${dotenvQuote(v)}`;
+    const out = [`--- ${labelA}`, `+++ ${labelB}`];
+    for (const r of rows) {
+      if (r.from === undefined) out.push(line("+", r.key, r.to));
+      else if (r.to === undefined) out.push(line("-", r.key, r.from));
+      else if (r.status === "changed" || r.status === "different") out.push(line("-", r.key, r.from), line("+", r.key, r.to));
+      else out.push(line(" ", r.key, r.from));
+    }
+    process.stdout.write(out.join("\n") + "\n");
+    return;
+  }
+
+  console.log(c.cyan(c.bold("Diff: ")) + `${labelA} ${c.dim("→")} ${labelB}`);
+  const counts = {};
+  for (const r of rows) {
+    counts[r.status] = (counts[r.status] || 0) + 1;
+    const v = (x) => summarizeValue(x);
+    if (r.status === "added") console.log(`${c.green("+")} ${r.key} = ${v(r.to)}`);
+    else if (r.status === "removed") console.log(`${c.red("-")} ${r.key} ${c.dim("(was")} ${v(r.from)}${c.dim(")")}`);
+    else if (r.status === "changed") console.log(`${c.yellow("~")} ${r.key}: ${v(r.from)} ${c.dim("→")} ${v(r.to)}`);
+    else if (r.status === "missing") console.log(`${c.red("✗")} ${r.key} ${c.dim("not set; preset has")} ${v(r.from)}`);
+    else if (r.status === "different") console.log(`${c.yellow("~")} ${r.key}: ${v(r.to)} ${c.dim("in shell, preset has")} ${v(r.from)}`);
+  }
+  const order = env ? ["missing", "different", "matching"] : ["added", "removed", "changed", "unchanged"];
+  console.log(c.dim(order.map((st) => `${counts[st] || 0} ${st}`).join(", ")));
+}
+
+function deletePreset(cfg, name) {
+  delete cfg.envs[name];
+  delete cfg.meta[name];
+  setDefaultStack(cfg, defaultStack(cfg).filter((n) => n !== name));
+  const children = Object.keys(cfg.envs).filter((n) => presetParents(cfg, n).includes(name));
+  if (children.length > 0) {
+    console.error(c.yellow(`Warning: ${children.join(", ")} still extend${children.length === 1 ? "s" : ""} \`${name}\`.`));
+  }
+}
+
+function cmdDel(name, key, { scope } = {}) {
+  const cfg = readConfig({ scope });
+  if (!name || !cfg.envs[name]) {
+    console.error(`Preset not found: ${name || "(missing)"}`);
+    console.error("Use `quickenv list` to view existing presets.");
+    process.exit(1);
+  }
+  if (!key) {
+    // Delete entire preset
+    const src = presetSource(cfg, name);
+    deletePreset(cfg, name);
+    writeConfig(cfg);
+    console.log(`Deleted preset: ${name}${whereSuffix(cfg, name, src)}`);
+    return;
+  }
+  if (!Object.prototype.hasOwnProperty.call(cfg.envs[name], key)) {
+    console.error(`KEY not found: ${key}`);
+    process.exit(1);
+  }
+  delete cfg.envs[name][key];
+  writeConfig(cfg);
+  console.log(`Deleted: ${name}.${key}${whereSuffix(cfg, name)}`);
+}
 
-    const onKeypress = (str, key) => {
-      if (!key) return;
-      if (key.name === "up") {
-        idx = (idx - 1 + items.length) % items.length;
-        render();
-      } else if (key.name === "down") {
-        idx = (idx + 1) % items.length;
-        render();
-      } else if (key.name === "return" || key.name === "enter") {
-        cleanup();
-        stop();
-        resolve(items[idx]);
-      } else if (key.name === "escape" || (key.name === "c" && key.ctrl)) {
-        cleanup();
-        stop();
-        resolve(null);
-      }
-    };
+// Decide which file a preset that is new to the merged view is written to:
+// the `local:` prefix in namespace mode, otherwise `kind`.
+function placeNewPreset(cfg, name, kind) {
+  const layers = cfg.__layers;
+  if (!layers) return;
+  const namespaced = projectPresetMode(layers.global) === "namespace";
+  if (namespaced) {
+    const local = name.startsWith(LOCAL_PREFIX);
+    layers.sources[name] = { kind: local ? "local" : "global", name: local ? name.slice(LOCAL_PREFIX.length) : name, shadows: false };
+  } else {
+    layers.sources[name] = { kind, name, shadows: false };
+  }
+}
 
-    function stop() {
-      try { input.off("keypress", onKeypress); } catch (_) {}
-      try { input.setRawMode(false); } catch (_) {}
-      try { input.pause(); } catch (_) {}
-      if (needClose) {
-        try { input.destroy(); } catch (_) {}
-      }
-    }
+function ensureNewPresetName(cfg, name) {
+  if (!name || !name.trim() || name.includes(",")) {
+    console.error(c.red(`Invalid preset name: ${name || "(missing)"}`));
+    process.exit(1);
+  }
+  if (cfg.envs[name]) {
+    console.error(c.red(`Preset already exists: ${name}`));
+    console.error(c.dim("Use `quickenv merge` to combine presets."));
+    process.exit(1);
+  }
+}
 
-    readline.emitKeypressEvents(input);
-    if (input.isTTY) {
-      try { input.setRawMode(true); } catch (_) {}
-    }
-    try { input.resume(); } catch (_) {}
-    input.on("keypress", onKeypress);
-    render();
-  });
+function hasEncryptedValues(vars) {
+  return Object.values(vars).some(isEncrypted);
 }
 
-async function selectKeyForDeleteInteractively(presetName, keys) {
-  const items = [...keys, c.red("Delete entire preset…"), c.yellow("Back"), c.dim("Cancel")];
-  const ret = await selectMenuInteractively(items, { title: `Select a KEY to delete (preset: ${presetName})` });
-  if (ret === null) return { type: "cancel" };
-  const plain = stripAnsi(ret);
-  if (plain === "Cancel") return { type: "cancel" };
-  if (plain === "Back") return { type: "back" };
-  if (plain.includes("Delete entire preset")) return { type: "delete-preset" };
-  return { type: "key", key: plain };
+// Rename a preset in place, following it in `current`, other presets'
+// `extends` and directory bindings.
+function cmdRename(oldName, newName) {
+  const cfg = readConfig();
+  if (!oldName || !newName) {
+    console.error("Usage: quickenv rename <old> <new>");
+    process.exit(1);
+  }
+  ensurePresetExists(cfg, oldName);
+  ensureNewPresetName(cfg, newName);
+  const src = presetSource(cfg, oldName);
+  // In namespace mode the prefix decides the file, so renaming must keep it.
+  if (cfg.__layers && projectPresetMode(cfg.__layers.global) === "namespace" && newName.startsWith(LOCAL_PREFIX) !== (src.kind === "local")) {
+    console.error(c.red(src.kind === "local"
+      ? `${oldName} lives in ${src.file}; its new name must start with ${LOCAL_PREFIX}`
+      : `${oldName} is a global preset; its new name can't start with ${LOCAL_PREFIX}`));
+    process.exit(1);
+  }
+  cfg.envs[newName] = cfg.envs[oldName];
+  if (cfg.meta[oldName]) cfg.meta[newName] = cfg.meta[oldName];
+  delete cfg.envs[oldName];
+  delete cfg.meta[oldName];
+  placeNewPreset(cfg, newName, src.kind);
+  if (hasEncryptedValues(cfg.envs[newName])) ensureSecretsAllowed(cfg, newName);
+  const updated = [];
+  if (defaultStack(cfg).includes(oldName)) {
+    setDefaultStack(cfg, defaultStack(cfg).map((n) => (n === oldName ? newName : n)));
+    updated.push("default");
+  }
+  for (const [n, meta] of Object.entries(cfg.meta)) {
+    const parents = presetParents(cfg, n);
+    if (!parents.includes(oldName)) continue;
+    meta.extends = parents.map((p) => (p === oldName ? newName : p));
+    updated.push(`${n} extends`);
+  }
+  for (const [dir, list] of Object.entries(cfg.bindings || {})) {
+    const names = splitPresetList(list);
+    if (!names.includes(oldName)) continue;
+    cfg.bindings[dir] = names.map((p) => (p === oldName ? newName : p)).join(",");
+    updated.push(`binding ${dir}`);
+  }
+  writeConfig(cfg);
+  console.log(`Renamed ${oldName} → ${newName}${whereSuffix(cfg, newName)}`);
+  if (updated.length > 0) console.log(c.dim(`Updated: ${updated.join(", ")}`));
 }
 
-async function cmdDelInteractive() {
+// Clone a preset's own keys (all, or just `keys`) and settings into a new one.
+function cmdCopy(srcName, dstName, { keys, scope } = {}) {
   const cfg = readConfig();
-  let names = Object.keys(cfg.envs).sort();
-  if (names.length === 0) {
-    console.error(c.red("No presets to delete."));
-    return;
+  if (!srcName || !dstName) {
+    console.error("Usage: quickenv copy <src> <dst> [--keys A,B] [--global|--local]");
+    process.exit(1);
   }
-  while (true) {
-    const picked = await selectPresetInteractively(names, cfg.current);
-    if (!picked) {
-      console.error(c.yellow("Cancelled."));
-      return;
+  ensurePresetExists(cfg, srcName);
+  ensureNewPresetName(cfg, dstName);
+  const srcVars = cfg.envs[srcName];
+  const picked = keys ? splitPresetList(keys) : Object.keys(srcVars);
+  const missing = picked.filter((k) => !Object.prototype.hasOwnProperty.call(srcVars, k));
+  if (missing.length > 0) {
+    console.error(c.red(`KEY not found in ${srcName}: ${missing.join(", ")}`));
+    process.exit(1);
+  }
+  const vars = {};
+  for (const k of picked) vars[k] = srcVars[k];
+  cfg.envs[dstName] = vars;
+  if (cfg.meta[srcName]) cfg.meta[dstName] = JSON.parse(JSON.stringify(cfg.meta[srcName]));
+  placeNewPreset(cfg, dstName, scope || presetSource(cfg, srcName).kind);
+  if (hasEncryptedValues(vars) || isSecretPreset(cfg, dstName)) ensureSecretsAllowed(cfg, dstName);
+  writeConfig(cfg);
+  console.log(`Copied ${srcName} → ${dstName} (${picked.length} key${picked.length === 1 ? "" : "s"})${whereSuffix(cfg, dstName)}`);
+}
+
+const MERGE_STRATEGIES = ["keep", "overwrite", "ask"];
+
+// Add the keys of `src` to `dst`. Keys both define with different values are
+// kept, overwritten or asked about one by one.
+async function cmdMerge(srcName, dstName, { strategy } = {}) {
+  if (!srcName || !dstName) {
+    console.error(`Usage: quickenv merge <src> <dst> [--strategy ${MERGE_STRATEGIES.join("|")}]`);
+    process.exit(1);
+  }
+  if (!strategy) strategy = process.stdin.isTTY ? "ask" : "keep";
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    console.error(c.red(`Unknown merge strategy: ${strategy}`));
+    console.error(c.dim(`Supported: ${MERGE_STRATEGIES.join(", ")}`));
+    process.exit(1);
+  }
+  const cfg = readConfig();
+  ensurePresetExists(cfg, srcName);
+  ensurePresetExists(cfg, dstName);
+  if (srcName === dstName) {
+    console.error(c.red("Source and destination are the same preset."));
+    process.exit(1);
+  }
+  const src = cfg.envs[srcName];
+  const dst = cfg.envs[dstName];
+  const added = [];
+  const overwritten = [];
+  const kept = [];
+  let rl = null;
+  for (const k of Object.keys(src).sort()) {
+    const has = Object.prototype.hasOwnProperty.call(dst, k);
+    if (has && JSON.stringify(dst[k]) === JSON.stringify(src[k])) continue;
+    let take = !has || strategy === "overwrite";
+    if (has && strategy === "ask") {
+      if (!rl) rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      const mine = displayStoredValue(cfg, dstName, k, dst[k]);
+      const theirs = displayStoredValue(cfg, srcName, k, src[k]);
+      const ans = (await askQuestion(rl, c.yellow(`${k}: ${dstName} has ${mine}, ${srcName} has ${theirs}. Overwrite? (y/N, a = overwrite all, k = keep all) `))).trim().toLowerCase();
+      if (ans === "a") strategy = "overwrite";
+      else if (ans === "k") strategy = "keep";
+      take = ans === "y" || ans === "yes" || strategy === "overwrite";
     }
-    const name = picked;
-    // Inner loop for deleting multiple keys
-    while (true) {
-      const keys = Object.keys(cfg.envs[name] || {}).sort();
-      if (keys.length === 0) {
-        const opt = await selectMenuInteractively([c.red("Delete entire preset…"), c.yellow("Back"), c.dim("Cancel")], { title: `Preset ${name} has no variables` });
-        if (!opt) { console.error(c.yellow("Cancelled.")); return; }
-        const plain = stripAnsi(opt);
-        if (plain === "Cancel") { console.error(c.yellow("Cancelled.")); return; }
-        if (plain === "Back") break; // back to preset selection
-        if (plain.includes("Delete entire preset")) {
-          const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-          const ans = (await askQuestion(rl, c.yellow(`Confirm delete the entire preset \`${name}\`? (y/N) `))).trim().toLowerCase();
-          rl.close();
-          if (ans !== "y" && ans !== "yes") { console.error(c.yellow("Cancelled.")); return; }
-          delete cfg.envs[name];
-          if (cfg.current === name) cfg.current = null;
-          writeConfig(cfg);
-          console.log(c.green(`Deleted preset: ${name}`));
-          names = Object.keys(cfg.envs).sort();
-          if (names.length === 0) return; // nothing left
-          break; // back to preset selection
-        }
-      } else {
-        const selection = await selectKeyForDeleteInteractively(name, keys);
-        if (selection.type === "cancel") { console.error(c.yellow("Cancelled.")); return; }
-        if (selection.type === "back") break; // back to preset selection
-        if (selection.type === "delete-preset") {
-          const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-          const ans = (await askQuestion(rl, c.yellow(`Confirm delete the entire preset \`${name}\`? (y/N) `))).trim().toLowerCase();
-          rl.close();
-          if (ans !== "y" && ans !== "yes") { console.error(c.yellow("Cancelled.")); return; }
-          delete cfg.envs[name];
-          if (cfg.current === name) cfg.current = null;
-          writeConfig(cfg);
-          console.log(c.green(`Deleted preset: ${name}`));
-          names = Object.keys(cfg.envs).sort();
-          if (names.length === 0) return;
-          break; // back to preset selection
-        }
-        if (selection.type === "key") {
-          const key = selection.key;
-          const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-          const ans = (await askQuestion(rl, c.yellow(`Confirm delete \`${name}.${key}\`? (y/N) `))).trim().toLowerCase();
-          rl.close();
-          if (ans !== "y" && ans !== "yes") {
-            console.error(c.yellow("Cancelled."));
-            return;
-          }
-          delete cfg.envs[name][key];
-          writeConfig(cfg);
-          console.log(c.green(`Deleted: ${name}.${key}`));
-          // continue inner loop to allow more deletions
-        }
-      }
+    if (!take) {
+      kept.push(k);
+      continue;
+    }
+    (has ? overwritten : added).push(k);
+    if (isEncrypted(src[k])) {
+      ensureSecretsAllowed(cfg, dstName);
+      dst[k] = src[k];
+    } else {
+      await storeValue(cfg, dstName, k, src[k]);
     }
   }
+  if (rl) rl.close();
+  writeConfig(cfg);
+  console.log(c.green(`Merged ${srcName} into ${dstName}: ${added.length} added, ${overwritten.length} overwritten, ${kept.length} kept.`) + whereSuffix(cfg, dstName));
 }
 
-async function cmdEditInteractive() {
-  const cfg = readConfig();
-  let names = Object.keys(cfg.envs).sort();
-  if (names.length === 0) {
-    console.error(c.red("No presets to edit. Run `quickenv set` first."));
+// One-line summary of a schema key rule, e.g. "url, required, /re/".
+function describeSchemaRule(rule) {
+  const parts = [rule.type || "string"];
+  if (rule.type === "enum") parts[0] = `enum(${(rule.values || []).join("|")})`;
+  if (rule.required) parts.push("required");
+  if (rule.pattern) parts.push(`/${rule.pattern}/`);
+  if (typeof rule.default !== "undefined") parts.push(`default ${summarizeValue(String(rule.default))}`);
+  return parts.join(", ");
+}
+
+function schemaUsers(cfg, schemaName) {
+  return Object.keys(cfg.envs).filter((n) => cfg.meta[n] && cfg.meta[n].schema === schemaName).sort();
+}
+
+function allSchemas(cfg) {
+  const layers = cfg.__layers;
+  const list = layers ? [layers.global, layers.local] : [cfg];
+  return Object.assign({}, ...list.map((l) => (l && l.schemas) || {}));
+}
+
+function printSchema(rules) {
+  const keys = Object.keys(rules).sort();
+  if (keys.length === 0) {
+    console.log(c.dim("(no keys)"));
     return;
   }
-  while (true) {
-    const picked = await selectPresetInteractively(names, cfg.current);
-    if (!picked) { console.error(c.yellow("Cancelled.")); return; }
-    const name = picked;
-    while (true) {
-      const keys = Object.keys(cfg.envs[name] || {}).sort();
-      const items = [...keys, c.green("Create KEY…"), c.yellow("Back"), c.dim("Cancel")];
-      const ret = await selectMenuInteractively(items, { title: `Select a KEY to edit (preset: ${name})` });
-      if (!ret) { console.error(c.yellow("Cancelled.")); return; }
-      const plain = stripAnsi(ret);
-      if (plain === "Cancel") { console.error(c.yellow("Cancelled.")); return; }
-      if (plain === "Back") break; // back to preset selection
-      if (plain.includes("Create KEY")) {
-        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-        let key = (await askQuestion(rl, c.cyan("Enter new KEY (uppercase, A-Z0-9_): "))).trim();
-        while (!isValidKey(key)) {
-          console.log(c.yellow("Invalid KEY. Use uppercase letters, digits, and underscores (^[A-Z0-9_]+$)"));
-          key = (await askQuestion(rl, c.cyan("Re-enter KEY: "))).trim();
-        }
-        if (typeof cfg.envs[name][key] !== "undefined") {
-          const ans = (await askQuestion(rl, c.yellow(`KEY exists. Overwrite? (y/N) `))).trim().toLowerCase();
-          if (ans !== "y" && ans !== "yes") { rl.close(); console.error(c.yellow("Cancelled.")); return; }
-        }
-        const value = (await askQuestion(rl, c.cyan("Enter VALUE (single line): "))).trim();
-        rl.close();
-        if (hasNewline(value)) { console.error(c.red("Value contains newline. Use single-line string.")); return; }
-        cfg.envs[name][key] = value;
-        writeConfig(cfg);
-        console.log(c.green(`Saved: ${name}.${key}`));
-        continue; // stay in key loop
-      }
-      // edit existing key
-      const key = plain;
-      const oldVal = cfg.envs[name][key];
-      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-      console.log(c.dim(`Current value: ${oldVal}`));
-      let value = (await askQuestion(rl, c.cyan("Enter new value (Enter to keep, '-' to clear): ")));
-      value = value.trim();
-      if (value === "") value = oldVal; // keep
-      else if (value === "-") value = ""; // clear
-      rl.close();
-      if (hasNewline(value)) { console.error(c.red("Value contains newline. Use single-line string.")); return; }
-      cfg.envs[name][key] = value;
-      writeConfig(cfg);
-      console.log(c.green(`Saved: ${name}.${key}`));
-      // continue editing more keys
-    }
+  const width = Math.max(...keys.map((k) => k.length));
+  for (const k of keys) {
+    const desc = rules[k].description ? " " + c.dim(`— ${rules[k].description}`) : "";
+    console.log(`${c.cyan(c.bold(padRight(k, width)))} ${describeSchemaRule(rules[k])}${desc}`);
   }
 }
 
-function askQuestion(rl, q) {
-  return new Promise((resolve) => rl.question(q, resolve));
+// Build a rule from `schema set` flags on top of an existing one.
+function schemaRuleFromFlags(key, base, flags) {
+  const rule = { ...base };
+  if (typeof flags.type === "string") rule.type = flags.type;
+  if (flags.required) rule.required = true;
+  if (flags.optional) delete rule.required;
+  if (typeof flags.values === "string") rule.values = splitPresetList(flags.values);
+  if (typeof flags.pattern === "string") rule.pattern = flags.pattern;
+  if (flags["no-pattern"]) delete rule.pattern;
+  if (typeof flags.default === "string") rule.default = flags.default;
+  if (flags["no-default"]) delete rule.default;
+  if (typeof flags.description === "string") rule.description = flags.description;
+  if (!rule.type) rule.type = "string";
+  if (rule.type !== "enum") delete rule.values;
+  const fail = (msg) => {
+    console.error(c.red(`${key}: ${msg}`));
+    process.exit(1);
+  };
+  if (!SCHEMA_TYPES.includes(rule.type)) fail(`unknown type ${rule.type} (use ${SCHEMA_TYPES.join(", ")})`);
+  if (rule.type === "enum" && !(rule.values && rule.values.length > 0)) fail("an enum needs --values a,b,c");
+  if (rule.pattern) {
+    try {
+      schemaPatternRegex(rule.pattern);
+    } catch (err) {
+      fail(`invalid pattern: ${err.message}`);
+    }
+  }
+  if (typeof rule.default !== "undefined") {
+    const problem = schemaValueProblem(rule, rule.default);
+    if (problem) fail(`default ${problem}`);
+  }
+  return rule;
 }
 
-async function cmdSetInteractive() {
-  const cfg = readConfig();
-  const names = Object.keys(cfg.envs).sort();
-  let presetName = null;
+// Edit a schema in the file that defines it unless --global/--local says.
+function schemaScope(schemaName, scope) {
+  if (scope) return scope;
+  const local = readConfig().__layers.local;
+  return local && local.schemas && local.schemas[schemaName] ? "local" : "global";
+}
 
-  if (names.length === 0) {
-    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-    const input = await askQuestion(rl, c.cyan("No presets yet. Enter a new preset name: "));
-    rl.close();
-    presetName = input.trim();
-    if (!presetName) {
-      console.error(c.red("Preset name cannot be empty."));
+function cmdSchema(sub, args, flags) {
+  const scope = writeScope(flags);
+  switch (sub || "list") {
+    case "list": {
+      const cfg = readConfig();
+      const schemas = allSchemas(cfg);
+      const names = Object.keys(schemas).sort();
+      if (outputJson) {
+        const doc = {};
+        for (const n of names) doc[n] = { rules: schemas[n], presets: schemaUsers(cfg, n) };
+        printJson({ schemas: doc });
+        return;
+      }
+      if (names.length === 0) {
+        console.log(c.dim("(no schemas — define one with `quickenv schema set <schema> <KEY> --type ...`)"));
+        return;
+      }
+      for (const n of names) {
+        const count = Object.keys(schemas[n]).length;
+        const users = schemaUsers(cfg, n);
+        const used = users.length > 0 ? ` · used by ${users.join(", ")}` : "";
+        console.log(`${n} ${c.dim(`[${count} key${count === 1 ? "" : "s"}${used}]`)}`);
+      }
       return;
     }
-    if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
-  } else {
-    const opts = [...names, c.green("Create new preset…"), c.dim("Cancel")];
-    const initialIndex = Math.max(0, cfg.current ? names.indexOf(cfg.current) : 0);
-    const sel = await selectMenuInteractively(opts, { title: "Select a preset for setting variables:", initialIndex });
-    if (!sel) {
-      // Fallback to text input when non-interactive
-      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-      console.log(c.cyan("Select a preset:"));
-      names.forEach((n, idx) => {
-        const mark = cfg.current === n ? "*" : " ";
-        const label = cfg.current === n ? c.green(n) : n;
-        console.log(`  [${idx + 1}] ${mark} ${label}`);
-      });
-      console.log(c.dim(`  [${names.length + 1}] Create new preset`));
-      const ans = await askQuestion(rl, c.cyan(`Enter index or name: `));
-      rl.close();
-      const trimmed = ans.trim();
-      const num = Number(trimmed);
-      if (Number.isInteger(num) && num >= 1 && num <= names.length) {
-        presetName = names[num - 1];
-      } else if (Number.isInteger(num) && num === names.length + 1) {
-        const rl2 = readline.createInterface({ input: process.stdin, output: process.stdout });
-        const newName = await askQuestion(rl2, c.cyan("Enter new preset name: "));
-        rl2.close();
-        presetName = newName.trim();
-        if (!presetName) {
-          console.error(c.red("Preset name cannot be empty."));
-          return;
-        }
-        if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
-      } else if (trimmed) {
-        if (!cfg.envs[trimmed]) {
-          const rl3 = readline.createInterface({ input: process.stdin, output: process.stdout });
-          const confirm = (await askQuestion(rl3, c.yellow(`Preset \`${trimmed}\` does not exist. Create it? (y/N) `))).trim().toLowerCase();
-          rl3.close();
-          if (confirm !== "y" && confirm !== "yes") {
-            console.error(c.yellow("Cancelled."));
-            return;
-          }
-          cfg.envs[trimmed] = {};
-        }
-        presetName = trimmed;
-      } else {
-        console.error(c.red("Invalid input."));
+    case "show": {
+      const cfg = readConfig();
+      const rules = args[0] ? findSchema(cfg, args[0]) : null;
+      if (!rules) {
+        console.error(c.red(`Schema not found: ${args[0] || "(missing)"}`));
+        process.exit(1);
+      }
+      if (outputJson) {
+        printJson({ name: args[0], rules, presets: schemaUsers(cfg, args[0]) });
         return;
       }
-    } else {
-      const choice = stripAnsi(sel);
-      if (choice === "Cancel") {
-        console.error(c.yellow("Cancelled."));
+      console.log(c.cyan(c.bold("Schema: ")) + args[0]);
+      console.log("");
+      printSchema(rules);
+      return;
+    }
+    case "set": {
+      const [schemaName, key] = args;
+      if (!schemaName || !key) {
+        console.error(`Usage: quickenv schema set <schema> <KEY> [--type ${SCHEMA_TYPES.join("|")}] [--required|--optional] [--values a,b] [--pattern re] [--default v] [--description text]`);
+        process.exit(1);
+      }
+      if (!SHELL_NAME_RE.test(key)) {
+        console.error(c.red(`Invalid KEY: ${key}`));
+        process.exit(1);
+      }
+      const cfg = readConfig({ scope: schemaScope(schemaName, scope) });
+      if (!cfg.schemas) cfg.schemas = {};
+      const rules = cfg.schemas[schemaName] || {};
+      rules[key] = schemaRuleFromFlags(key, rules[key], flags);
+      cfg.schemas[schemaName] = rules;
+      writeConfig(cfg);
+      console.log(`Saved: ${schemaName}.${key} (${describeSchemaRule(rules[key])})`);
+      return;
+    }
+    case "del": {
+      const [schemaName, key] = args;
+      const cfg = readConfig({ scope: schemaScope(schemaName, scope) });
+      const rules = schemaName && cfg.schemas ? cfg.schemas[schemaName] : null;
+      if (!rules || (key && !rules[key])) {
+        console.error(c.red(`Not found: ${schemaName || "(missing)"}${key ? `.${key}` : ""}`));
+        process.exit(1);
+      }
+      if (key) {
+        delete rules[key];
+      } else {
+        const users = schemaUsers(readConfig(), schemaName);
+        if (users.length > 0) {
+          console.error(c.red(`Schema ${schemaName} is used by ${users.join(", ")}.`));
+          console.error(c.dim("Detach it first: quickenv schema detach <preset>"));
+          process.exit(1);
+        }
+        delete cfg.schemas[schemaName];
+      }
+      writeConfig(cfg);
+      console.log(`Deleted: ${schemaName}${key ? `.${key}` : ""}`);
+      return;
+    }
+    case "attach":
+    case "detach": {
+      const [name, schemaName] = args;
+      if (!name || (sub === "attach" && !schemaName)) {
+        console.error("Usage: quickenv schema attach <preset> <schema> | quickenv schema detach <preset>");
+        process.exit(1);
+      }
+      const cfg = readConfig();
+      ensurePresetExists(cfg, name);
+      if (sub === "attach" && !findSchema(cfg, schemaName)) {
+        console.error(c.red(`Schema not found: ${schemaName}`));
+        process.exit(1);
+      }
+      const meta = cfg.meta[name] || {};
+      if (sub === "attach") meta.schema = schemaName;
+      else delete meta.schema;
+      if (Object.keys(meta).length > 0) cfg.meta[name] = meta;
+      else delete cfg.meta[name];
+      writeConfig(cfg);
+      if (sub === "detach") {
+        console.log(`Detached schema from ${name}`);
         return;
       }
-      if (choice.includes("Create new preset")) {
+      console.log(`Saved: ${name} follows schema ${schemaName}`);
+      let problems = [];
+      try {
+        problems = schemaProblems(presetSchema(cfg, name), interpolateVars(maskEncrypted(resolvePreset(cfg, name).vars), baseEnv()));
+      } catch (_) {
+        // `quickenv doctor` reports broken presets.
+      }
+      if (problems.length > 0) {
+        console.log(c.yellow(`${problems.length} problem${problems.length === 1 ? "" : "s"} to fix; see \`quickenv show ${name}\`.`));
+      }
+      return;
+    }
+    default:
+      console.error(`Unknown schema command: ${sub}`);
+      console.error("Usage: quickenv schema [list|show|set|del|attach|detach] ...");
+      process.exit(1);
+  }
+}
+
+// Create an empty preset, or with --from-schema one that follows a schema,
+// asking for each of its required keys.
+async function cmdNew(name, { fromSchema, scope } = {}) {
+  if (!name || fromSchema === true) {
+    console.error("Usage: quickenv new <preset> [--from-schema <schema>] [--global|--local]");
+    process.exit(1);
+  }
+  const cfg = readConfig();
+  ensureNewPresetName(cfg, name);
+  const rules = fromSchema ? findSchema(cfg, fromSchema) : null;
+  if (fromSchema && !rules) {
+    console.error(c.red(`Schema not found: ${fromSchema}`));
+    console.error(c.dim("Use `quickenv schema list` to view existing schemas."));
+    process.exit(1);
+  }
+  cfg.envs[name] = {};
+  if (fromSchema) cfg.meta[name] = { schema: fromSchema };
+  placeNewPreset(cfg, name, scope || "global");
+  const required = rules ? Object.keys(rules).filter((k) => rules[k].required).sort() : [];
+  if (required.length > 0 && process.stdin.isTTY) {
+    for (const key of required) {
+      const rule = rules[key];
+      if (rule.description) console.log(c.dim(rule.description));
+      const hasDefault = typeof rule.default !== "undefined";
+      const hint = describeSchemaRule({ ...rule, required: false }) + (hasDefault ? ", Enter for default" : "");
+      for (;;) {
         const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-        const newName = await askQuestion(rl, c.cyan("Enter new preset name: "));
+        const value = await askValue(rl, cfg, name, key, c.cyan(`${key} `) + c.dim(`(${hint}): `));
         rl.close();
-        presetName = newName.trim();
-        if (!presetName) {
-          console.error(c.red("Preset name cannot be empty."));
-          return;
+        if (value === null) {
+          console.error(c.yellow("Cancelled. Nothing was saved."));
+          process.exit(1);
         }
-        if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
-      } else {
-        presetName = choice;
+        if (value === "" && hasDefault) break;
+        const problem = valueProblem(cfg, name, key, value);
+        if (problem) {
+          console.error(c.red(`${key} ${problem}`));
+          continue;
+        }
+        await storeValue(cfg, name, key, value);
+        break;
       }
     }
   }
+  writeConfig(cfg);
+  const count = Object.keys(cfg.envs[name]).length;
+  console.log(`Created ${name}${fromSchema ? ` from schema ${fromSchema}` : ""} (${count} key${count === 1 ? "" : "s"})${whereSuffix(cfg, name)}`);
+  const missing = required.filter((k) => typeof cfg.envs[name][k] === "undefined" && typeof rules[k].default === "undefined");
+  if (missing.length > 0) console.log(c.yellow(`Still required: ${missing.join(", ")} (quickenv set ${name} <KEY> <VALUE>)`));
+}
 
-  // Loop: add multiple keys until user finishes
-  while (true) {
-    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-    let key = (await askQuestion(rl, c.cyan("Enter KEY (uppercase, A-Z0-9_): "))).trim();
-    while (!isValidKey(key)) {
-      console.log(c.yellow("Invalid KEY. Use uppercase letters, digits, and underscores (^[A-Z0-9_]+$)"));
-      key = (await askQuestion(rl, c.cyan("Re-enter KEY: "))).trim();
+// Check every preset for keys that break their key policy or schema, broken
+// extends chains and references that can't be expanded, plus bindings to
+// missing presets. Exits 1 when anything is wrong.
+function cmdDoctor() {
+  const cfg = readConfig();
+  const names = Object.keys(cfg.envs).sort();
+  const problems = [];
+  for (const name of names) {
+    let policy = null;
+    try {
+      policy = keyPolicyFor(cfg, name);
+    } catch (err) {
+      problems.push({ preset: name, message: err.message });
     }
-    const currentVal = cfg.envs[presetName][key];
-    if (typeof currentVal !== "undefined") {
-      const ans = (await askQuestion(rl, c.yellow(`KEY exists (current: ${currentVal}). Overwrite? (y/N) `))).trim().toLowerCase();
-      if (ans !== "y" && ans !== "yes") {
-        console.log(c.yellow("Not overwritten. Cancelled."));
-        rl.close();
-        // Ask next action after cancelling overwrite
-        const next = await selectMenuInteractively(["Add another key", "Change preset", "Finish"], { title: `Next action for ${presetName}:` });
-        const plain = next ? stripAnsi(next) : null;
-        if (plain === "Change preset") {
-          // choose preset again
-          const names2 = Object.keys(cfg.envs).sort();
-          const opts2 = [...names2, c.green("Create new preset…"), c.dim("Cancel")];
-          const initialIndex2 = Math.max(0, cfg.current ? names2.indexOf(cfg.current) : 0);
-          const sel2 = await selectMenuInteractively(opts2, { title: "Select a preset:", initialIndex: initialIndex2 });
-          const choice2 = sel2 ? stripAnsi(sel2) : null;
-          if (choice2 && choice2 !== "Cancel") {
-            if (choice2.includes("Create new preset")) {
-              const rl2 = readline.createInterface({ input: process.stdin, output: process.stdout });
-              const newName2 = await askQuestion(rl2, c.cyan("Enter new preset name: "));
-              rl2.close();
-              const p2 = newName2.trim();
-              if (p2) { if (!cfg.envs[p2]) cfg.envs[p2] = {}; presetName = p2; }
-            } else {
-              presetName = choice2;
-            }
-          }
-        }
-        if (plain === "Finish" || !plain) return; // end
-        continue; // add another key
+    if (policy) {
+      for (const key of Object.keys(cfg.envs[name]).sort()) {
+        const problem = keyProblem(policy, key);
+        if (problem) problems.push({ preset: name, key, message: problem });
       }
     }
-    const value = (await askQuestion(rl, c.cyan("Enter VALUE (single line): "))).trim();
-    rl.close();
-    if (hasNewline(value)) {
-      console.error(c.red("Value contains newline. Use single-line string."));
-      return;
+    try {
+      const values = interpolateVars(maskEncrypted(resolvePreset(cfg, name).vars), baseEnv());
+      const schema = presetSchema(cfg, name);
+      for (const p of schema ? schemaProblems(schema, values) : []) {
+        problems.push({ preset: name, key: p.key, schema: schema.name, message: `${p.message} (schema ${schema.name})` });
+      }
+    } catch (err) {
+      problems.push({ preset: name, message: err.message });
+    }
+  }
+  for (const [dir, list] of Object.entries(cfg.bindings || {})) {
+    const missing = splitPresetList(list).filter((n) => !cfg.envs[n]);
+    if (missing.length > 0) problems.push({ binding: dir, message: `bound to missing preset ${missing.join(", ")}` });
+  }
+  if (outputJson) {
+    printJson({ presets: names.length, problems });
+  } else if (problems.length === 0) {
+    console.log(c.green(`✓ No problems found in ${names.length} preset${names.length === 1 ? "" : "s"}.`));
+  } else {
+    for (const p of problems) {
+      const label = p.binding ? `binding ${p.binding}` : p.key ? `${p.preset}.${p.key}` : p.preset;
+      console.log(`${c.red("✗")} ${c.bold(label)}: ${p.message}`);
     }
+    if (problems.some((p) => p.key && !p.schema)) {
+      console.log(c.dim("Rename the keys (quickenv copy/set/del) or change the policy: quickenv config keyPolicy posix [--preset name]"));
+    }
+  }
+  if (problems.length > 0) process.exit(1);
+}
 
-    cfg.envs[presetName][key] = value;
-    writeConfig(cfg);
-    console.log(c.green(`Saved: ${presetName}.${key}`));
+function historyValue(v) {
+  if (v === undefined || v === null) return c.dim("(none)");
+  if (typeof v === "string") return summarizeValue(v);
+  if (Array.isArray(v)) return v.join(",");
+  if (isSource(v)) return sourceLabel(v);
+  return isEncrypted(v) ? SECRET_PLACEHOLDER : JSON.stringify(v);
+}
 
-    // Ask next action
-    const next = await selectMenuInteractively(["Add another key", "Change preset", "Finish"], { title: `Next action for ${presetName}:` });
-    const plain = next ? stripAnsi(next) : null;
-    if (plain === "Change preset") {
-      const names2 = Object.keys(cfg.envs).sort();
-      const opts2 = [...names2, c.green("Create new preset…"), c.dim("Cancel")];
-      const initialIndex2 = Math.max(0, cfg.current ? names2.indexOf(cfg.current) : 0);
-      const sel2 = await selectMenuInteractively(opts2, { title: "Select a preset:", initialIndex: initialIndex2 });
-      const choice2 = sel2 ? stripAnsi(sel2) : null;
-      if (choice2 && choice2 !== "Cancel") {
-        if (choice2.includes("Create new preset")) {
-          const rl2 = readline.createInterface({ input: process.stdin, output: process.stdout });
-          const newName2 = await askQuestion(rl2, c.cyan("Enter new preset name: "));
-          rl2.close();
-          const p2 = newName2.trim();
-          if (p2) { if (!cfg.envs[p2]) cfg.envs[p2] = {}; presetName = p2; }
-        } else {
-          presetName = choice2;
-        }
-      }
-    } else if (plain === "Finish" || !plain) {
-      return; // done
-    }
-    // else Add another key -> loop
+function describeChange(ch) {
+  if (ch.created) return `${c.green("+")} preset ${ch.preset}`;
+  if (ch.deleted) return `${c.red("-")} preset ${ch.preset}`;
+  if (ch.key) {
+    const label = `${ch.preset}.${ch.key}`;
+    if (!("old" in ch)) return `${c.green("+")} ${label} = ${historyValue(ch.new)}`;
+    if (!("new" in ch)) return `${c.red("-")} ${label} ${c.dim("(was")} ${historyValue(ch.old)}${c.dim(")")}`;
+    return `${c.yellow("~")} ${label}: ${historyValue(ch.old)} ${c.dim("→")} ${historyValue(ch.new)}`;
   }
+  const label = ch.meta ? `${ch.preset} ${ch.meta}` : ch.setting ? `setting ${ch.setting}` : ch.schema ? `schema ${ch.schema}` : ch.field;
+  if (!("old" in ch) && !("new" in ch)) return `${c.yellow("~")} ${label}`;
+  return `${c.yellow("~")} ${label}: ${historyValue(ch.old)} ${c.dim("→")} ${historyValue(ch.new)}`;
 }
 
-function cmdSetNonInteractive(presetName, key, value) {
-  const cfg = readConfig();
-  if (!presetName) {
-    console.error("Provide a preset: quickenv set <preset> <KEY> <VALUE>");
+function formatTimestamp(iso) {
+  const d = new Date(iso);
+  const p2 = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${p2(d.getMonth() + 1)}-${p2(d.getDate())} ${p2(d.getHours())}:${p2(d.getMinutes())}:${p2(d.getSeconds())}`;
+}
+
+function printHistoryEntry(e, { preset, undone } = {}) {
+  const where = e.file === CONFIG_PATH ? "" : " " + c.dim(`(${path.relative(process.cwd(), e.file) || e.file})`);
+  let note = "";
+  if (e.undid) note = " " + c.dim(`(undid ${e.undid.map((id) => `#${id}`).join(", ")})`);
+  else if (e.restored) note = " " + c.dim(`(restored #${e.restored})`);
+  if (undone && undone.has(e.id)) note += " " + c.dim("(undone)");
+  console.log(`${c.yellow(`#${e.id}`)} ${c.dim(formatTimestamp(e.time))} ${c.cyan(e.command)}${where}${note}`);
+  for (const ch of e.changes) {
+    if (!preset || ch.preset === preset) console.log("    " + describeChange(ch));
+  }
+}
+
+// Entries undone by a later `undo`.
+function undoneIds(entries) {
+  return new Set(entries.flatMap((e) => e.undid || []));
+}
+
+function cmdHistory(preset, { limit = 20, all = false } = {}) {
+  const entries = readHistory();
+  const undone = undoneIds(entries);
+  let shown = entries.filter((e) => !preset || e.changes.some((ch) => ch.preset === preset));
+  if (!all) shown = shown.slice(-limit);
+  if (shown.length === 0) {
+    console.log(c.dim(preset ? `(no history for ${preset})` : "(no history)"));
+    return;
+  }
+  for (const e of shown.reverse()) printHistoryEntry(e, { preset, undone });
+}
+
+// Roll back the last `n` changes that haven't been undone yet. Each affected
+// file goes back to its state before the oldest of them; the undo is itself
+// journaled, so `restore` can bring the changes back.
+function cmdUndo(n = 1) {
+  if (!Number.isInteger(n) || n < 1) {
+    console.error("Usage: quickenv undo [n]");
     process.exit(1);
   }
-  if (!cfg.envs[presetName]) cfg.envs[presetName] = {};
-  if (!isValidKey(key)) {
-    console.error("Invalid KEY. Use uppercase letters, digits, and underscores (^[A-Z0-9_]+$)");
+  const entries = readHistory();
+  const undone = undoneIds(entries);
+  const picked = entries.filter((e) => !e.undid && !undone.has(e.id)).slice(-n);
+  if (picked.length === 0) {
+    console.error(c.yellow("Nothing to undo."));
     process.exit(1);
   }
-  if (typeof value === "undefined" || value === null) value = "";
-  if (hasNewline(value)) {
-    console.error("Value contains newline. Use single-line string.");
+  const targets = new Map();
+  for (const e of picked) {
+    if (!targets.has(e.file)) targets.set(e.file, { snapshot: e.before, ids: [] });
+    targets.get(e.file).ids.push(e.id);
+  }
+  for (const [file, { snapshot, ids }] of targets) {
+    let restored;
+    try {
+      restored = snapshot === null ? { data: null, missing: [] } : loadSnapshotFor(snapshot, file);
+    } catch (err) {
+      console.error(c.red(`Cannot undo ${ids.map((id) => `#${id}`).join(", ")}: ${err.message}`));
+      process.exit(1);
+    }
+    writeRecorded(file, restored.data, { undid: ids });
+    warnMissingSecrets(restored.missing);
+  }
+  for (const e of picked.reverse()) {
+    console.log(`${c.green("Undid")} ${c.yellow(`#${e.id}`)} ${c.cyan(e.command)}`);
+    for (const ch of e.changes) console.log("    " + describeChange(ch));
+  }
+}
+
+// Put a file back the way it was right after change `id`.
+function cmdRestore(idArg) {
+  const id = Number(String(idArg || "").replace(/^#/, ""));
+  const entry = readHistory().find((e) => e.id === id);
+  if (!entry) {
+    console.error(idArg ? c.red(`No history entry #${idArg}. See \`quickenv history\`.`) : "Usage: quickenv restore <id>");
     process.exit(1);
   }
-  cfg.envs[presetName][key] = String(value);
-  writeConfig(cfg);
-  console.log(`Saved: ${presetName}.${key}`);
+  let restored;
+  try {
+    restored = entry.after === null ? { data: null, missing: [] } : loadSnapshotFor(entry.after, entry.file);
+  } catch (err) {
+    console.error(c.red(`Cannot restore #${id}: ${err.message}`));
+    process.exit(1);
+  }
+  const written = writeRecorded(entry.file, restored.data, { restored: id });
+  warnMissingSecrets(restored.missing);
+  if (!written) {
+    console.log(c.dim(`Already at the state after #${id}.`));
+    return;
+  }
+  console.log(c.green(`Restored the state after #${id}.`));
+  for (const ch of written.changes) console.log("    " + describeChange(ch));
 }
 
-function cmdDel(name, key) {
+// Print the preset this shell has applied (a comma-separated stack when
+// several are layered); --layers lists the effective keys each layer provides.
+function cmdCurrent({ layers = false } = {}) {
   const cfg = readConfig();
-  if (!name || !cfg.envs[name]) {
-    console.error(`Preset not found: ${name || "(missing)"}`);
-    console.error("Use `quickenv list` to view existing presets.");
+  const stack = activeStack();
+  const res = resolveStackOrExit(cfg, stack.filter((n) => cfg.envs[n]));
+  if (outputJson) {
+    printJson({ current: stack.join(",") || null, stack, layers: res.layer, default: defaultStack(cfg).join(",") || null });
+    return;
+  }
+  if (stack.length === 0) {
+    console.error("No preset is active in this shell.");
+    const defaults = defaultStack(cfg);
+    if (defaults.length > 0) console.error(c.dim(`Default for new shells: ${defaults.join(",")} (quickenv use "$(quickenv default)")`));
     process.exit(1);
   }
-  if (!key) {
-    // Delete entire preset
-    delete cfg.envs[name];
-    if (cfg.current === name) {
-      cfg.current = null;
-    }
+  if (!layers) {
+    process.stdout.write(stack.join(",") + "\n");
+    return;
+  }
+  const width = Math.max(...stack.map((n) => n.length));
+  for (const n of stack) {
+    const keys = Object.keys(res.layer).filter((k) => res.layer[k] === n).sort();
+    console.log(`${c.cyan(c.bold(padRight(n, width)))} ${keys.length > 0 ? keys.join(", ") : c.dim("(every key overridden)")}`);
+  }
+}
+
+// Show, set or (--unset) clear the preset stack new shells start with.
+function cmdDefault(names, { unset = false } = {}) {
+  const cfg = readConfig();
+  if (unset || names.length > 0) {
+    for (const n of names) ensurePresetExists(cfg, n);
+    setDefaultStack(cfg, unset ? [] : names);
     writeConfig(cfg);
-    console.log(`Deleted preset: ${name}`);
+    console.log(unset ? "Cleared the default preset." : `Saved default for new shells: ${names.join(",")}`);
     return;
   }
-  if (!Object.prototype.hasOwnProperty.call(cfg.envs[name], key)) {
-    console.error(`KEY not found: ${key}`);
+  const stack = defaultStack(cfg);
+  if (outputJson) {
+    printJson({ default: stack.join(",") || null, stack });
+    return;
+  }
+  if (stack.length === 0) {
+    console.error("No default preset set.");
     process.exit(1);
   }
-  delete cfg.envs[name][key];
-  writeConfig(cfg);
-  console.log(`Deleted: ${name}.${key}`);
+  process.stdout.write(stack.join(",") + "\n");
 }
 
-function cmdCurrent() {
-  const cfg = readConfig();
-  if (!cfg.current) {
-    console.error("No current preset set.");
+// Every command with its flags and arguments. main() takes the flags that
+// expect a value from here, and shell completion reads the rest. A flag is
+// `true` when it is a switch; otherwise it and each argument name what to
+// complete: "preset", "presets" (several, or a comma list), "key" (of the
+// preset argument), "schema", "schema-key", "shell", "file", "dir", a
+// list of words, or null for free text.
+const COMMANDS = {
+  init: { args: [[...SHELLS, "starship"]], flags: { auto: true, prompt: true } },
+  completion: { args: [["bash", "zsh", "fish"]] },
+  hook: { hidden: true, flags: { shell: "shell" } },
+  list: { flags: { reveal: true } },
+  show: { args: ["presets"], flags: { resolved: true, reveal: true, fetch: true } },
+  use: { args: ["presets"], flags: { shell: "shell", push: true, pop: true, "save-default": true } },
+  off: { flags: { shell: "shell" } },
+  deactivate: { flags: { shell: "shell" } },
+  run: { args: ["presets"], flags: { clean: true, keep: null } },
+  set: { args: ["preset", "key", null], flags: { global: true, local: true } },
+  source: { args: ["preset", "key", ["cmd", "file", "env"]], flags: { ttl: null, timeout: null, global: true, local: true } },
+  refresh: { args: ["preset"] },
+  secret: {
+    subcommands: { set: ["preset", "key"], preset: ["preset"], unlock: [], lock: [], "rotate-passphrase": [] },
+    flags: { timeout: null, off: true, global: true, local: true },
+  },
+  import: { args: ["file"], flags: { preset: "preset", format: ["dotenv", "json", "shell"], yes: true, global: true, local: true } },
+  export: { args: ["presets"], flags: { format: Object.keys(exportFormats), output: "file", name: null } },
+  edit: { flags: { global: true, local: true } },
+  del: { args: ["preset", "key"], flags: { global: true, local: true } },
+  current: { flags: { layers: true } },
+  default: { args: ["presets"], flags: { unset: true } },
+  status: { flags: { reveal: true } },
+  rename: { args: ["preset"] },
+  copy: { args: ["preset"], flags: { keys: null, global: true, local: true } },
+  merge: { args: ["preset", "preset"], flags: { strategy: MERGE_STRATEGIES } },
+  diff: { args: ["preset", "preset"], flags: { env: true, format: ["text", "json", "unified"], reveal: true } },
+  history: { args: ["preset"], flags: { limit: null, all: true } },
+  undo: {},
+  restore: {},
+  config: { args: [Object.keys(SETTINGS)], flags: { preset: "preset", unset: true, global: true, local: true } },
+  doctor: {},
+  new: { flags: { "from-schema": "schema", global: true, local: true } },
+  schema: {
+    subcommands: { list: [], show: ["schema"], set: ["schema", "schema-key"], del: ["schema", "schema-key"], attach: ["preset", "schema"], detach: ["preset"] },
+    flags: {
+      type: SCHEMA_TYPES, values: null, pattern: null, default: null, description: null,
+      required: true, optional: true, "no-pattern": true, "no-default": true, global: true, local: true,
+    },
+  },
+  extends: { args: ["preset", "presets"], flags: { none: true, global: true, local: true } },
+  tag: { args: ["preset", null], flags: { off: true } },
+  mask: { args: ["preset", "key"], flags: { off: true, global: true, local: true } },
+  prompt: { flags: { format: null, shell: ["bash", "zsh"], budget: null } },
+  bind: { args: ["presets", "dir"] },
+  unbind: { args: ["dir"] },
+  bindings: {},
+  allow: { args: ["file"] },
+  deny: { args: ["file"] },
+  help: {},
+};
+const GLOBAL_FLAGS = ["--json", "--no-color"];
+
+function valueFlags(cmd) {
+  const flags = (COMMANDS[cmd] && COMMANDS[cmd].flags) || {};
+  return Object.keys(flags).filter((f) => flags[f] !== true);
+}
+
+// Stop on options a command doesn't take, so a value such as `--verbose` is
+// never silently read as one. `usage` shows where such values go instead.
+function ensureKnownFlags(cmd, flags, usage) {
+  const known = (COMMANDS[cmd] && COMMANDS[cmd].flags) || {};
+  const unknown = Object.keys(flags).find((f) => !(f in known));
+  if (unknown === undefined) return;
+  console.error(c.red(`Unknown option for ${cmd}: --${unknown}`));
+  console.error(c.dim(`Values starting with -- go after a bare --: ${usage}`));
+  process.exit(1);
+}
+
+// What each argument of a command is, given the positionals typed so far.
+function argumentKinds(spec, positional) {
+  if (!spec.subcommands) return spec.args || [];
+  return [Object.keys(spec.subcommands), ...(spec.subcommands[positional[0]] || [])];
+}
+
+// Candidates for `cur` given what it is. Files and directories are left to
+// the shell, signalled by a single `:files` or `:dirs` line.
+function completeKind(kind, cur, context) {
+  if (kind === "file") return [":files"];
+  if (kind === "dir") return [":dirs"];
+  let words;
+  let head = "";
+  let tail = cur;
+  if (Array.isArray(kind)) words = kind;
+  else if (kind === "shell") words = SHELLS;
+  else if (kind === "preset" || kind === "presets") {
+    words = Object.keys(context.cfg().envs);
+    if (kind === "presets") {
+      // Complete the last name of a comma list, skipping names already in it.
+      head = cur.slice(0, cur.lastIndexOf(",") + 1);
+      tail = cur.slice(head.length);
+      const taken = splitPresetList(head);
+      words = words.filter((n) => !taken.includes(n));
+    }
+  } else if (kind === "key") words = Object.keys(context.cfg().envs[context.preset] || {});
+  else if (kind === "schema") words = Object.keys(allSchemas(context.cfg()));
+  else if (kind === "schema-key") words = Object.keys(allSchemas(context.cfg())[context.schema] || {});
+  else return [];
+  return words.filter((w) => w.startsWith(tail)).sort().map((w) => head + w);
+}
+
+// Completion candidates for the words after `quickenv`; the last word is the
+// one being completed.
+function completions(words) {
+  const cur = (words[words.length - 1] || "").replace(/^["']/, "");
+  const before = words.slice(0, -1).filter((w) => !GLOBAL_FLAGS.includes(w));
+  const match = (list) => list.filter((w) => w.startsWith(cur));
+  if (before.length === 0) {
+    return match(cur.startsWith("-") ? GLOBAL_FLAGS : Object.keys(COMMANDS).filter((n) => !COMMANDS[n].hidden));
+  }
+  const spec = COMMANDS[before[0]];
+  if (!spec) return [];
+  const flags = spec.flags || {};
+  const positional = [];
+  let pending = null;
+  for (let i = 1; i < before.length; i++) {
+    const w = before[i];
+    if (w === "--") return [":files"];
+    const name = w.startsWith("--") && !w.includes("=") ? w.slice(2) : null;
+    if (name !== null && name in flags && flags[name] !== true) {
+      if (i === before.length - 1) pending = name;
+      else i++;
+    } else if (!w.startsWith("--")) {
+      positional.push(w);
+    }
+  }
+  const kinds = argumentKinds(spec, positional);
+  let cached;
+  const context = {
+    cfg: () => cached || (cached = readConfig()),
+    preset: positional[kinds.indexOf("preset")],
+    schema: positional[kinds.indexOf("schema")],
+  };
+  if (pending) return completeKind(flags[pending], cur, context);
+  if (cur.startsWith("--") && cur.includes("=")) {
+    const name = cur.slice(2, cur.indexOf("="));
+    if (!(name in flags) || flags[name] === true) return [];
+    const prefix = cur.slice(0, cur.indexOf("=") + 1);
+    return completeKind(flags[name], cur.slice(prefix.length), context).filter((w) => !w.startsWith(":")).map((w) => prefix + w);
+  }
+  if (cur.startsWith("-")) return match([...Object.keys(flags).map((f) => `--${f}`), ...GLOBAL_FLAGS]);
+  const last = kinds[kinds.length - 1];
+  const kind = positional.length < kinds.length ? kinds[positional.length] : last === "presets" ? last : null;
+  return completeKind(kind, cur, context);
+}
+
+// Hidden `__complete -- quickenv <words...>` used by the completion scripts;
+// it prints one candidate per line and never prompts.
+function cmdComplete(words) {
+  const out = completions(words.slice(1));
+  if (out.length > 0) process.stdout.write(out.join("\n") + "\n");
+}
+
+const completionScripts = {
+  bash: () => `# quickenv completion (bash)
+_quickenv() {
+  local cur cword i
+  local -a words out
+  if declare -F _get_comp_words_by_ref >/dev/null; then
+    _get_comp_words_by_ref -n := cur words cword
+  else
+    # Without bash-completion, glue back words COMP_WORDBREAKS split at : or =
+    # (local:dev, --format=json).
+    for ((i = 0; i <= COMP_CWORD; i++)); do
+      if ((i > 0)) && [[ "\${COMP_WORDS[i]}" == [:=] || "\${words[\${#words[@]}-1]}" == *[:=] ]]; then
+        words[\${#words[@]}-1]+="\${COMP_WORDS[i]}"
+      else
+        words+=("\${COMP_WORDS[i]}")
+      fi
+    done
+    cword=$((\${#words[@]} - 1))
+    cur="\${words[cword]}"
+  fi
+  local __line
+  while IFS= read -r __line; do
+    out+=("$__line")
+  done < <(command quickenv __complete -- "\${words[@]:0:cword+1}" 2>/dev/null)
+  case "\${out[0]-}" in
+    :files) COMPREPLY=() ;;
+    :dirs) COMPREPLY=($(compgen -d -- "$cur")) ;;
+    *) COMPREPLY=("\${out[@]}") ;;
+  esac
+  # Readline only replaces the text after the last word break, so drop the
+  # part of each candidate before it (like __ltrim_colon_completions).
+  local __brk=""
+  [[ "$COMP_WORDBREAKS" == *:* ]] && __brk+=":"
+  [[ "$COMP_WORDBREAKS" == *=* ]] && __brk+="="
+  if [[ -n "$__brk" && "$cur" == *["$__brk"]* ]]; then
+    local __pre="\${cur%"\${cur##*["$__brk"]}"}"
+    for i in "\${!COMPREPLY[@]}"; do
+      COMPREPLY[i]="\${COMPREPLY[i]#"$__pre"}"
+    done
+  fi
+}
+complete -o default -F _quickenv quickenv
+`,
+  zsh: () => `#compdef quickenv
+# quickenv completion (zsh)
+_quickenv() {
+  local -a out
+  out=("\${(@f)$(command quickenv __complete -- "\${(@Q)words[1,CURRENT]}" 2>/dev/null)}")
+  out=(\${out:#})
+  case "\${out[1]-}" in
+    :files) _files ;;
+    :dirs) _files -/ ;;
+    *) compadd -- "\${out[@]}" ;;
+  esac
+}
+(( $+functions[compdef] )) || { autoload -Uz compinit && compinit; }
+compdef _quickenv quickenv
+`,
+  fish: () => `# quickenv completion (fish)
+function __quickenv_complete
+    set -l cur (commandline -ct)
+    set -l out (command quickenv __complete -- (commandline -opc) "$cur" 2>/dev/null)
+    switch "$out[1]"
+        case :files
+            __fish_complete_path "$cur"
+        case :dirs
+            __fish_complete_directories "$cur"
+        case '*'
+            printf '%s\\n' $out
+    end
+end
+complete -c quickenv -f -a '(__quickenv_complete)'
+`,
+};
+
+function cmdCompletion(requested) {
+  const shell = requested || normalizeShell(path.basename(process.env.SHELL || ""));
+  if (!completionScripts[shell]) {
+    console.error(c.red(requested ? `No completion script for ${requested}.` : "Name a shell: quickenv completion bash|zsh|fish"));
+    console.error(c.dim(`Supported: ${Object.keys(completionScripts).join(", ")}`));
     process.exit(1);
   }
-  process.stdout.write(String(cfg.current) + "\n");
+  process.stdout.write(completionScripts[shell]());
 }
 
 function printUsage() {
@@ -785,14 +5070,54 @@ function printUsage() {
   console.log("");
   console.log("Usage:");
   console.log("  quickenv            Open interactive command palette");
-  console.log("  quickenv init       Print shell function");
+  console.log("  quickenv init [shell] [--auto] [--prompt]  Print shell helper (bash, zsh, fish, powershell, nu); --auto adds the cd hook, --prompt the prompt segment");
+  console.log("  quickenv init starship  Print a starship custom module showing the active preset");
+  console.log("  quickenv completion <shell>  Print a completion script for bash, zsh or fish");
   console.log("  quickenv list       List all presets");
-  console.log("  quickenv show <name>     Show variables for a preset");
-  console.log("  quickenv use [name]      Interactively choose when name omitted");
-  console.log("  quickenv set        Interactive set variables");
+  console.log("  quickenv show [name...] [--resolved] [--reveal] [--fetch]  Show a preset, or a stack (default: current); sensitive values masked, --fetch runs sources");
+  console.log("  quickenv use [name...] [--shell sh] [--save-default]  Apply presets in order (later win) to this shell; multi-select when omitted");
+  console.log("  quickenv use --push <name> | --pop  Add a layer on top of the active stack, or remove the top one");
+  console.log("  quickenv off [--shell sh]  Unset the active preset and restore previous values");
+  console.log("  quickenv run <name>[,<name>...] [--clean] [--keep A,B] -- <cmd>  Run a command with presets applied");
+  console.log("  quickenv set        Interactive set variables (set/edit/del take --global or --local)");
+  console.log("  quickenv set <name> <KEY> <VALUE|-|@file>  Set one key (stdin or file for multi-line values; values starting with -- go after --)");
+  console.log("  quickenv source <name> <KEY> cmd|file|env <'command'|path|NAME> [--ttl 15m] [--timeout 10s] [-- command...]  Resolve a key when the preset is used");
+  console.log("  quickenv refresh [name]  Forget cached source values");
+  console.log("  quickenv secret set <name> <KEY> [VALUE]  Store an encrypted value (prompts when VALUE is omitted)");
+  console.log("  quickenv secret preset <name> [--off]     Encrypt every value of a preset");
+  console.log("  quickenv secret unlock [--timeout 15m] | lock | rotate-passphrase");
+  console.log("  quickenv import <file> [--preset name]  Merge keys from a .env, JSON or shell export file");
+  console.log("  quickenv export <name> [--format fmt] [--output file]  Write a preset as dotenv, json, docker, systemd, k8s-configmap or k8s-secret");
   console.log("  quickenv edit       Interactive edit variables (select preset/KEY)");
   console.log("  quickenv del [name] [KEY] Interactive delete key or entire preset");
-  console.log("  quickenv current    Print current preset name");
+  console.log("  quickenv current [--layers]  Print the preset (or comma-separated stack) active in this shell; --layers lists each layer's keys");
+  console.log("  quickenv default [name...] [--unset]  Show or set the preset new shells start with (also: use --save-default)");
+  console.log("  quickenv status     Show the current preset, what this shell has applied and the project file");
+  console.log("  quickenv rename <old> <new>         Rename a preset (updates current, extends and bindings)");
+  console.log("  quickenv copy <src> <dst> [--keys A,B]  Copy a preset, or some of its keys, into a new preset");
+  console.log("  quickenv merge <src> <dst> [--strategy keep|overwrite|ask]  Add src's keys to dst");
+  console.log("  quickenv diff <a> <b> | <name> --env  Compare two presets, or a preset with the shell (--format text|json|unified)");
+  console.log("  quickenv history [name] [--limit n|--all]  Show recorded changes (newest first)");
+  console.log("  quickenv undo [n]   Roll back the last n changes (default 1)");
+  console.log("  quickenv restore <id>  Return a config file to its state after change <id>");
+  console.log("  quickenv config [key] [value]  Show or change settings (--unset to reset; keyPolicy also takes --local or --preset name)");
+  console.log("  quickenv doctor     Check presets for keys that break the key policy and other problems");
+  console.log("  quickenv new <name> [--from-schema schema]  Create a preset (asking for the schema's required keys)");
+  console.log("  quickenv schema [list|show <schema>]  List schemas or show one's rules");
+  console.log("  quickenv schema set <schema> <KEY> [--type string|int|bool|url|enum] [--required] [--values a,b] [--pattern re] [--default v] [--description text]");
+  console.log("  quickenv schema del <schema> [KEY] | attach <name> <schema> | detach <name>  Edit schemas and which presets follow them");
+  console.log("  quickenv mask <name> <KEY>... [--off]  Always mask these keys' values");
+  console.log("  quickenv tag <name> [tag...] [--off]  Show, add or remove tags (`production` turns the prompt red)");
+  console.log("  quickenv prompt [--format f] [--shell sh] [--budget ms]  Print a prompt segment for the active preset");
+  console.log("  quickenv bind <name> [dir]     Activate a preset automatically inside dir (see init --auto)");
+  console.log("  quickenv unbind [dir]          Remove a directory binding");
+  console.log("  quickenv bindings              List directory bindings and allowed .quickenv files");
+  console.log("  quickenv allow [path]          Trust a .quickenv marker file (deny to revoke)");
+  console.log("  quickenv extends <name> [parent...]  Show or set the presets a preset inherits from (--none to clear)");
+  console.log("");
+  console.log("Global options:");
+  console.log("  --json              JSON output for list, show, current, status, diff and schema (never opens a menu)");
+  console.log("  --no-color          Plain output without ANSI colors (also when NO_COLOR is set)");
 }
 
 async function cmdRootInteractive() {
@@ -803,7 +5128,11 @@ async function cmdRootInteractive() {
     { cmd: "set", desc: "Interactive set variables" },
     { cmd: "edit", desc: "Interactive edit variables (select preset/KEY)" },
     { cmd: "del", desc: "Interactive delete key or entire preset" },
-    { cmd: "current", desc: "Print current preset name" },
+    { cmd: "rename", desc: "Rename a preset" },
+    { cmd: "copy", desc: "Copy a preset into a new one" },
+    { cmd: "merge", desc: "Merge one preset's keys into another" },
+    { cmd: "current", desc: "Print the preset active in this shell" },
+    { cmd: "default", desc: "Print the preset new shells start with" },
     { cmd: "help", desc: "Show usage" },
     { cmd: "exit", desc: "Exit" },
   ];
@@ -812,6 +5141,7 @@ async function cmdRootInteractive() {
     const picked = await selectMenuInteractively(labels, { title: "Select a command:" });
     if (!picked) { printUsage(); return; }
     const choice = stripAnsi(picked).split(" — ")[0];
+    historyCommand = choice;
     switch (choice) {
       case "list":
         await cmdList();
@@ -823,9 +5153,9 @@ async function cmdRootInteractive() {
         const cfg = readConfig();
         const names = Object.keys(cfg.envs).sort();
         if (names.length === 0) { console.log(c.dim("(no presets)")); break; }
-        const name = await selectPresetInteractively(names, cfg.current);
+        const name = await selectPresetInteractively(names, topPreset(cfg));
         if (!name) { console.error(c.yellow("Cancelled.")); break; }
-        cmdShow(name);
+        await cmdShow([name]);
         break;
       }
       case "set":
@@ -837,9 +5167,38 @@ async function cmdRootInteractive() {
       case "del":
         await cmdDelInteractive();
         break;
+      case "rename":
+      case "copy": {
+        const cfg = readConfig();
+        const names = Object.keys(cfg.envs).sort();
+        if (names.length === 0) { console.log(c.dim("(no presets)")); break; }
+        const name = await selectPresetInteractively(names, topPreset(cfg));
+        if (!name) { console.error(c.yellow("Cancelled.")); break; }
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const target = (await askQuestion(rl, c.cyan(choice === "rename" ? `New name for ${name}: ` : `Copy ${name} to: `))).trim();
+        rl.close();
+        if (!target) { console.error(c.yellow("Cancelled.")); break; }
+        if (choice === "rename") cmdRename(name, target);
+        else cmdCopy(name, target);
+        break;
+      }
+      case "merge": {
+        const cfg = readConfig();
+        const names = Object.keys(cfg.envs).sort();
+        if (names.length < 2) { console.log(c.dim("(need at least two presets)")); break; }
+        const from = await selectMenuInteractively(names, { title: "Merge keys from:" });
+        if (!from) { console.error(c.yellow("Cancelled.")); break; }
+        const into = await selectMenuInteractively(names.filter((n) => n !== from), { title: `Merge ${from} into:` });
+        if (!into) { console.error(c.yellow("Cancelled.")); break; }
+        await cmdMerge(from, into, { strategy: "ask" });
+        break;
+      }
       case "current":
         cmdCurrent();
         break;
+      case "default":
+        cmdDefault([]);
+        break;
       case "help":
         printUsage();
         break;
@@ -850,55 +5209,238 @@ async function cmdRootInteractive() {
   }
 }
 
-function main() {
-  const argv = process.argv.slice(2);
+async function main() {
+  const argv = applyGlobalFlags(process.argv.slice(2));
   const cmd = argv[0];
+  historyCommand = (cmd === "secret" || cmd === "schema") && argv[1] ? `${cmd} ${argv[1]}` : cmd || "menu";
   switch (cmd) {
     case undefined:
-      (async () => { await cmdRootInteractive(); })();
+      await cmdRootInteractive();
+      break;
+    case "__complete":
+      cmdComplete(argv.slice(argv.indexOf("--") + 1));
+      break;
+    case "completion":
+      cmdCompletion(argv[1]);
       break;
     case "init":
-      cmdInit();
+    case "init-internal": {
+      // init-internal is reserved if needed; for now same as init
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdInit(positional[0], { auto: !!flags.auto, prompt: !!flags.prompt });
+      break;
+    }
+    case "hook": {
+      const { flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdHook({ shell: flags.shell });
+      break;
+    }
+    case "bind":
+      cmdBind(argv[1], argv[2]);
+      break;
+    case "unbind":
+      cmdUnbind(argv[1]);
+      break;
+    case "bindings":
+      cmdBindings();
+      break;
+    case "allow":
+      cmdAllow(argv[1]);
       break;
-    case "init-internal":
-      // reserved if needed; for now same as init
-      cmdInit();
+    case "deny":
+      cmdDeny(argv[1]);
       break;
-    case "list":
-      (async () => { await cmdList(); })();
+    case "list": {
+      const { flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdList({ reveal: !!flags.reveal });
       break;
-    case "show":
-      cmdShow(argv[1]);
+    }
+    case "show": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdShow(positional.flatMap(splitPresetList), { resolved: !!flags.resolved, reveal: !!flags.reveal, fetch: !!flags.fetch });
       break;
-    case "use":
+    }
+    case "use": {
       // Support interactive selection when name is omitted
-      (async () => {
-        await cmdUse(argv[1]);
-      })();
-      break;
-    case "set":
-      if (argv.length >= 4) {
-        // Non-interactive: quickenv set <preset> <KEY> <VALUE>
-        cmdSetNonInteractive(argv[1], argv[2], argv.slice(3).join(" "));
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdUse(positional, { shell: flags.shell, push: !!flags.push, pop: !!flags.pop, saveDefault: !!flags["save-default"] });
+      break;
+    }
+    case "off":
+    case "deactivate": {
+      const { flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdOff({ shell: flags.shell });
+      break;
+    }
+    case "secret": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdSecret(positional[0], positional.slice(1), flags);
+      break;
+    }
+    case "__agent":
+      runAgent();
+      break;
+    case "run": {
+      const { positional, flags, rest } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdRun(positional[0], rest, { clean: !!flags.clean, keep: splitPresetList(flags.keep) });
+      break;
+    }
+    case "set": {
+      const { positional, flags, rest } = parseArgs(argv.slice(1), valueFlags(cmd));
+      ensureKnownFlags(cmd, flags, "quickenv set <preset> <KEY> -- --value");
+      const scope = writeScope(flags);
+      const words = [...positional, ...rest];
+      if (words.length >= 3) {
+        // Non-interactive: quickenv set <preset> <KEY> <VALUE|-|@file>
+        const value = words.length === 3 ? readValueArg(words[2]) : words.slice(2).join(" ");
+        await cmdSetNonInteractive(words[0], words[1], value, { scope });
+      } else if (words.length === 2 && !process.stdin.isTTY) {
+        // quickenv set <preset> <KEY> < file
+        await cmdSetNonInteractive(words[0], words[1], readValueArg("-"), { scope });
       } else {
-        cmdSetInteractive();
+        await cmdSetInteractive({ scope });
+      }
+      break;
+    }
+    case "source": {
+      // The command is taken verbatim: one quoted argument, or everything
+      // after a bare `--`, so its own options never reach parseArgs.
+      const { positional, flags, rest } = parseArgs(argv.slice(1), valueFlags(cmd));
+      ensureKnownFlags(cmd, flags, "quickenv source <preset> <KEY> cmd -- <command>");
+      if (positional.length > 4 || (positional.length === 4 && rest.length > 0)) {
+        console.error(c.red("Quote the command, or put it after a bare --."));
+        console.error(c.dim("quickenv source <preset> <KEY> cmd 'op read --no-newline op://vault/item'"));
+        process.exit(1);
       }
+      const arg = rest.length > 0 ? rest.join(" ") : positional[3];
+      cmdSource(positional[0], positional[1], positional[2], arg, { ttl: flags.ttl, timeout: flags.timeout, scope: writeScope(flags) });
+      break;
+    }
+    case "refresh":
+      cmdRefresh(argv[1]);
       break;
-    case "del":
-      if (!argv[1]) {
-        (async () => { await cmdDelInteractive(); })();
-      } else if (argv[1] && !argv[2]) {
-        (async () => { await cmdDelInteractive(); })();
+    case "import": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdImport(positional[0], { preset: flags.preset, format: flags.format, yes: !!flags.yes, scope: writeScope(flags) });
+      break;
+    }
+    case "export": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdExport(positional[0], { format: flags.format, output: flags.output, name: flags.name });
+      break;
+    }
+    case "del": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      const scope = writeScope(flags);
+      if (!positional[0]) {
+        await cmdDelInteractive({ scope });
+      } else if (positional[0] && !positional[1]) {
+        await cmdDelInteractive({ scope });
       } else {
-        cmdDel(argv[1], argv[2]);
+        cmdDel(positional[0], positional[1], { scope });
+      }
+      break;
+    }
+    case "edit": {
+      const { flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdEditInteractive({ scope: writeScope(flags) });
+      break;
+    }
+    case "current": {
+      const { flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdCurrent({ layers: !!flags.layers });
+      break;
+    }
+    case "default": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdDefault(positional.flatMap(splitPresetList), { unset: !!flags.unset });
+      break;
+    }
+    case "status": {
+      const { flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdStatus({ reveal: !!flags.reveal });
+      break;
+    }
+    case "extends": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdExtends(positional[0], positional.slice(1), { none: !!flags.none, scope: writeScope(flags) });
+      break;
+    }
+    case "prompt": {
+      // Runs on every prompt: no menus, no history, nothing written.
+      const { flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      const budget = Number(flags.budget);
+      cmdPrompt({
+        format: typeof flags.format === "string" ? flags.format : undefined,
+        shell: flags.shell,
+        budget: flags.budget !== undefined && Number.isFinite(budget) ? budget : undefined,
+      });
+      break;
+    }
+    case "tag": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdTag(positional[0], positional.slice(1), { off: !!flags.off });
+      break;
+    }
+    case "mask": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdMask(positional[0], positional.slice(1), { off: !!flags.off, scope: writeScope(flags) });
+      break;
+    }
+    case "rename": {
+      const { positional } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdRename(positional[0], positional[1]);
+      break;
+    }
+    case "copy": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdCopy(positional[0], positional[1], { keys: flags.keys, scope: writeScope(flags) });
+      break;
+    }
+    case "merge": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdMerge(positional[0], positional[1], { strategy: flags.strategy });
+      break;
+    }
+    case "diff": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdDiff(positional[0], positional[1], { env: !!flags.env, format: flags.format, reveal: !!flags.reveal });
+      break;
+    }
+    case "history": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      const limit = flags.limit === undefined ? 20 : Number(flags.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        console.error("Usage: quickenv history [preset] [--limit n] [--all]");
+        process.exit(1);
       }
+      cmdHistory(positional[0], { limit, all: !!flags.all });
       break;
-    case "edit":
-      (async () => { await cmdEditInteractive(); })();
+    }
+    case "undo":
+      cmdUndo(argv[1] === undefined ? 1 : Number(argv[1]));
+      break;
+    case "restore":
+      cmdRestore(argv[1]);
+      break;
+    case "config": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdConfig(positional[0], positional[1], { unset: !!flags.unset, preset: flags.preset, scope: writeScope(flags) });
+      break;
+    }
+    case "doctor":
+      cmdDoctor();
+      break;
+    case "schema": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      cmdSchema(positional[0], positional.slice(1), flags);
       break;
-    case "current":
-      cmdCurrent();
+    }
+    case "new": {
+      const { positional, flags } = parseArgs(argv.slice(1), valueFlags(cmd));
+      await cmdNew(positional[0], { fromSchema: flags["from-schema"], scope: writeScope(flags) });
       break;
+    }
     case "help":
     case "-h":
     case "--help":
@@ -911,4 +5453,7 @@ function main() {
   }
 }
 
-main();
+main().catch((err) => {
+  console.error(c.red(err.message));
+  process.exit(1);
+});